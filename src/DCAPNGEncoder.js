@@ -0,0 +1,281 @@
+import DCFrameEncoder from './DCFrameEncoder.js';
+import { crc32 } from './DCFrameEncoder.js';
+
+/**
+ * PNG file signature
+ */
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Encoder for creating animated PNGs
+ *
+ * Every frame is encoded by canvas.toBlob as a PNG. Its IDAT chunks become
+ * the frame data of the APNG (fdAT chunks for all frames but the first).
+ */
+export default class DCAPNGEncoder extends DCFrameEncoder {
+  /**
+   * Creates a new APNG encoder
+   * @param {Object} settings - Encoder settings
+   */
+  constructor(settings) {
+    super(settings);
+
+    this.extension = '.png';
+    this.mimeType = 'image/apng';
+    this.framerate = settings.framerate || 60;
+
+    this.header = null;
+    this.frames = [];
+    this.savedBlob = null;
+    this.encoded = Promise.resolve();
+  }
+
+  /**
+   * Starts the encoder
+   */
+  start() {
+    super.start();
+
+    this.header = null;
+    this.frames = [];
+    this.savedBlob = null;
+    this.encoded = Promise.resolve();
+  }
+
+  /**
+   * Adds a canvas frame to the animation
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to capture
+   * @returns {Promise} Resolves once the frame has been encoded
+   */
+  add(canvas) {
+    // Frames are encoded in parallel but must stay in capture order
+    const index = this.frames.length;
+    this.frames.push(null);
+    this.savedBlob = null;
+    this.step();
+
+    const work = this.track(
+      new Promise(resolve => {
+        try {
+          canvas.toBlob(blob => {
+            if (!blob) {
+              console.error('Failed to create blob from canvas');
+              this.emit('error', 'Failed to create blob from canvas');
+              resolve();
+              return;
+            }
+
+            const fileReader = new FileReader();
+            fileReader.onload = () => {
+              this.addPNG(index, new Uint8Array(fileReader.result));
+              resolve();
+            };
+            fileReader.onerror = () => {
+              console.error('Error reading PNG frame:', fileReader.error);
+              this.emit('error', 'Error reading PNG frame');
+              resolve();
+            };
+            fileReader.readAsArrayBuffer(blob);
+          }, 'image/png');
+        } catch (error) {
+          console.error('Error capturing canvas as PNG:', error);
+          this.emit('error', 'Error capturing canvas as PNG');
+          resolve();
+        }
+      })
+    );
+
+    this.encoded = Promise.all([this.encoded, work]);
+    return work;
+  }
+
+  /**
+   * Splits an encoded PNG into the chunks the animation needs
+   * @param {number} index - Frame index
+   * @param {Uint8Array} png - PNG file
+   * @private
+   */
+  addPNG(index, png) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const header = { ihdr: null, width: 0, height: 0, chunks: [] };
+    const data = [];
+
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= png.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+      const start = offset + 8;
+      const chunk = png.subarray(start, start + length);
+      offset = start + length + 4; // Skip the CRC
+
+      if (type === 'IHDR') {
+        header.ihdr = chunk;
+        header.width = view.getUint32(start);
+        header.height = view.getUint32(start + 4);
+      } else if (type === 'IDAT') {
+        data.push(chunk);
+      } else if (type === 'IEND') {
+        break;
+      } else if (data.length === 0) {
+        // Ancillary chunks before the image data, like sRGB or gAMA
+        header.chunks.push({ type, data: chunk });
+      }
+    }
+
+    if (!header.ihdr || data.length === 0) {
+      console.error('Invalid PNG frame');
+      this.emit('error', 'Invalid PNG frame');
+      return;
+    }
+
+    if (!this.header) {
+      this.header = header;
+    } else if (header.width !== this.header.width || header.height !== this.header.height) {
+      console.error('Frame size differs from previous frames');
+      this.emit('error', 'Frame size differs from previous frames');
+      return;
+    } else if (
+      header.ihdr.length !== this.header.ihdr.length ||
+      header.ihdr.some((byte, i) => byte !== this.header.ihdr[i])
+    ) {
+      // Every frame is decoded with the one IHDR, so bit depth and color type must match too
+      console.error('Frame format differs from previous frames');
+      this.emit('error', 'Frame format differs from previous frames');
+      return;
+    }
+
+    this.frames[index] = data;
+  }
+
+  /**
+   * Returns the frame delay as a fraction of a second
+   * @returns {number[]} Numerator and denominator
+   * @private
+   */
+  getDelay() {
+    if (Number.isInteger(this.framerate) && this.framerate <= 0xffff) {
+      return [1, this.framerate];
+    }
+    return [Math.round(10000 / this.framerate), 10000];
+  }
+
+  /**
+   * Assembles the APNG from the encoded frames
+   * @returns {Blob} Animated PNG
+   * @private
+   */
+  assemble() {
+    const frames = this.frames.filter(frame => frame);
+    const parts = [PNG_SIGNATURE, createChunk('IHDR', this.header.ihdr)];
+
+    const actl = new DataView(new ArrayBuffer(8));
+    actl.setUint32(0, frames.length); // num_frames
+    actl.setUint32(4, 0); // num_plays: loop forever
+    parts.push(createChunk('acTL', new Uint8Array(actl.buffer)));
+
+    this.header.chunks.forEach(chunk => parts.push(createChunk(chunk.type, chunk.data)));
+
+    const [delayNum, delayDen] = this.getDelay();
+    let sequence = 0;
+
+    frames.forEach((data, i) => {
+      const fctl = new DataView(new ArrayBuffer(26));
+      fctl.setUint32(0, sequence++);
+      fctl.setUint32(4, this.header.width);
+      fctl.setUint32(8, this.header.height);
+      fctl.setUint32(12, 0); // x_offset
+      fctl.setUint32(16, 0); // y_offset
+      fctl.setUint16(20, delayNum);
+      fctl.setUint16(22, delayDen);
+      fctl.setUint8(24, 0); // dispose_op: none
+      fctl.setUint8(25, 0); // blend_op: source, so transparent pixels replace the previous frame
+      parts.push(createChunk('fcTL', new Uint8Array(fctl.buffer)));
+
+      data.forEach(chunk => {
+        // The first frame is the default image, the others go in fdAT chunks
+        if (i === 0) {
+          parts.push(createChunk('IDAT', chunk));
+          return;
+        }
+
+        const fdat = new Uint8Array(4 + chunk.length);
+        new DataView(fdat.buffer).setUint32(0, sequence++);
+        fdat.set(chunk, 4);
+        parts.push(createChunk('fdAT', fdat));
+      });
+    });
+
+    parts.push(createChunk('IEND', new Uint8Array(0)));
+
+    return new Blob(parts, { type: this.mimeType });
+  }
+
+  /**
+   * Stops the encoder
+   * @returns {Promise} Resolves once every frame has been encoded
+   */
+  stop() {
+    super.stop();
+
+    return this.encoded;
+  }
+
+  /**
+   * Saves the animation once every frame has been encoded
+   * @param {Function} callback - Callback receiving the blob
+   */
+  save(callback) {
+    this.encoded.then(() => {
+      if (!this.savedBlob) {
+        if (!this.header) {
+          console.error('No frames captured');
+          this.emit('error', 'No frames captured');
+          return;
+        }
+
+        try {
+          this.savedBlob = this.assemble();
+        } catch (error) {
+          console.error('Error creating APNG:', error);
+          this.emit('error', 'Error creating APNG');
+          return;
+        }
+      }
+
+      this.emit('finished', this.savedBlob);
+      if (callback) {
+        callback(this.savedBlob);
+      }
+    });
+  }
+
+  /**
+   * Disposes resources
+   */
+  dispose() {
+    this.header = null;
+    this.frames = [];
+    this.savedBlob = null;
+    this.encoded = Promise.resolve();
+  }
+}
+
+/**
+ * Encodes a PNG chunk with its length and CRC
+ * @param {string} type - Four character chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Encoded chunk
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+  return chunk;
+}
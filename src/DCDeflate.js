@@ -0,0 +1,354 @@
+import { crc32 } from './DCFrameEncoder.js';
+
+/**
+ * Sliding window of deflate, matches reach at most this far back
+ */
+const WINDOW_SIZE = 32768;
+
+/**
+ * Shortest and longest match deflate can encode
+ */
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+
+/**
+ * Previous positions tried for each match, more compress better but slower
+ */
+const MAX_CHAIN = 64;
+
+const HASH_SIZE = 1 << 15;
+const MAX_STORED = 65535;
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131,
+  163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
+  3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+/**
+ * Compresses data with deflate, for browsers without CompressionStream
+ *
+ * Data is pushed in chunks as it arrives and each chunk becomes one block,
+ * with the fixed Huffman codes or stored, whichever is smaller. Matches reach
+ * back into the previous chunks. With gzip set the output is wrapped in a gzip
+ * member, otherwise it is raw deflate.
+ */
+export default class DCDeflate {
+  /**
+   * Creates a new compressor
+   * @param {Object} [options] - Compressor options
+   * @param {boolean} [options.gzip=false] - Write a gzip header and trailer
+   */
+  constructor(options = {}) {
+    this.gzip = !!options.gzip;
+
+    this.history = new Uint8Array(0);
+    this.crc = 0;
+    this.size = 0;
+    this.started = false;
+
+    this.parts = [];
+    this.bytes = [];
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  /**
+   * Compresses a chunk of data
+   * @param {Uint8Array} chunk - Data to compress
+   * @returns {Uint8Array} Compressed bytes that are complete so far
+   */
+  push(chunk) {
+    this.start();
+
+    if (chunk.length) {
+      this.crc = crc32(chunk, this.crc);
+      this.size += chunk.length;
+      this.writeBlock(chunk);
+    }
+
+    return this.flush();
+  }
+
+  /**
+   * Ends the stream
+   * @returns {Uint8Array} The last compressed bytes
+   */
+  finish() {
+    this.start();
+
+    // An empty final block with the fixed codes is just its header and end of block
+    this.writeBits(1, 1);
+    this.writeBits(1, 2);
+    this.writeBits(0, 7);
+    this.alignToByte();
+
+    if (this.gzip) {
+      this.writeUint32(this.crc);
+      this.writeUint32(this.size % 0x100000000);
+    }
+
+    return this.flush();
+  }
+
+  /**
+   * Writes the gzip header before the first block
+   * @private
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    if (this.gzip) {
+      // Magic, deflate, no flags, no time, no extra flags, unknown OS
+      this.bytes.push(0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 255);
+    }
+  }
+
+  /**
+   * Writes a chunk as one block, compressed or stored
+   *
+   * The final block is the empty one written by finish()
+   * @param {Uint8Array} chunk - Data of the block
+   * @private
+   */
+  writeBlock(chunk) {
+    const data = new Uint8Array(this.history.length + chunk.length);
+    data.set(this.history);
+    data.set(chunk, this.history.length);
+
+    const tokens = findMatches(data, this.history.length);
+    const storedBits = (chunk.length + Math.ceil(chunk.length / MAX_STORED) * 5) * 8;
+
+    if (tokens.bits < storedBits) {
+      this.writeBits(0, 1);
+      this.writeBits(1, 2);
+      for (let i = 0; i < tokens.count; i += 2) {
+        const length = tokens.list[i];
+        if (length === 0) {
+          this.writeLiteral(tokens.list[i + 1]);
+        } else {
+          this.writeMatch(length, tokens.list[i + 1]);
+        }
+      }
+      this.writeLiteral(256);
+    } else {
+      // Already compressed data like PNG or JPEG frames would only grow
+      for (let offset = 0; offset < chunk.length; offset += MAX_STORED) {
+        const length = Math.min(MAX_STORED, chunk.length - offset);
+        this.writeBits(0, 3);
+        this.alignToByte();
+        this.bytes.push(length & 0xff, length >> 8, ~length & 0xff, (~length >> 8) & 0xff);
+        this.parts.push(new Uint8Array(this.bytes), chunk.subarray(offset, offset + length));
+        this.bytes = [];
+      }
+    }
+
+    this.history = data.slice(Math.max(0, data.length - WINDOW_SIZE));
+  }
+
+  /**
+   * Writes a literal byte or the end of block with the fixed codes
+   * @param {number} value - Literal, or 256 for the end of block
+   * @private
+   */
+  writeLiteral(value) {
+    if (value < 144) {
+      this.writeCode(0x30 + value, 8);
+    } else if (value < 256) {
+      this.writeCode(0x190 + value - 144, 9);
+    } else {
+      this.writeCode(value - 256, 7);
+    }
+  }
+
+  /**
+   * Writes a match with the fixed codes
+   * @param {number} length - Length of the match
+   * @param {number} distance - Distance back to the match
+   * @private
+   */
+  writeMatch(length, distance) {
+    const lengthCode = findCode(LENGTH_BASE, length);
+    const symbol = 257 + lengthCode;
+    if (symbol < 280) {
+      this.writeCode(symbol - 256, 7);
+    } else {
+      this.writeCode(0xc0 + symbol - 280, 8);
+    }
+    this.writeBits(length - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+
+    const distanceCode = findCode(DISTANCE_BASE, distance);
+    this.writeCode(distanceCode, 5);
+    this.writeBits(distance - DISTANCE_BASE[distanceCode], DISTANCE_EXTRA[distanceCode]);
+  }
+
+  /**
+   * Writes a Huffman code, which deflate packs starting from its most significant bit
+   * @param {number} code - Code
+   * @param {number} length - Bits in the code
+   * @private
+   */
+  writeCode(code, length) {
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | ((code >> i) & 1);
+    }
+    this.writeBits(reversed, length);
+  }
+
+  /**
+   * Writes bits, least significant first
+   * @param {number} value - Bits to write
+   * @param {number} count - Number of bits
+   * @private
+   */
+  writeBits(value, count) {
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      this.bytes.push(this.bitBuffer & 0xff);
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  /**
+   * Pads the last byte with zero bits
+   * @private
+   */
+  alignToByte() {
+    if (this.bitCount > 0) {
+      this.writeBits(0, 8 - this.bitCount);
+    }
+  }
+
+  /**
+   * Writes a little-endian 32-bit integer
+   * @param {number} value - Value
+   * @private
+   */
+  writeUint32(value) {
+    this.bytes.push(value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, value >>> 24);
+  }
+
+  /**
+   * Takes the whole bytes written so far, a partial byte stays in the bit buffer
+   * @returns {Uint8Array} Bytes
+   * @private
+   */
+  flush() {
+    this.parts.push(new Uint8Array(this.bytes));
+
+    const bytes = new Uint8Array(this.parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    this.parts.forEach(part => {
+      bytes.set(part, offset);
+      offset += part.length;
+    });
+
+    this.parts = [];
+    this.bytes = [];
+    return bytes;
+  }
+}
+
+/**
+ * Finds the index of the range a length or distance falls in
+ * @param {number[]} base - Start of every range
+ * @param {number} value - Length or distance
+ * @returns {number} Index of the range
+ */
+function findCode(base, value) {
+  let code = base.length - 1;
+  while (base[code] > value) {
+    code--;
+  }
+  return code;
+}
+
+/**
+ * Splits data into literals and matches with hash chains
+ * @param {Uint8Array} data - Previous data followed by the data to encode
+ * @param {number} start - Where the data to encode begins
+ * @returns {Object} Tokens as (length, literal or distance) pairs, with the bits they take
+ */
+function findMatches(data, start) {
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const previous = new Int32Array(data.length);
+  const list = new Uint32Array((data.length - start) * 2);
+  let count = 0;
+  let bits = 7;
+
+  const hash = i => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & (HASH_SIZE - 1);
+  const insert = i => {
+    if (i + MIN_MATCH <= data.length) {
+      const h = hash(i);
+      previous[i] = head[h];
+      head[h] = i;
+    }
+  };
+
+  for (let i = 0; i < start; i++) {
+    insert(i);
+  }
+
+  let i = start;
+  while (i < data.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    if (i + MIN_MATCH <= data.length) {
+      const limit = Math.min(MAX_MATCH, data.length - i);
+      let candidate = head[hash(i)];
+      let chain = MAX_CHAIN;
+
+      while (candidate >= 0 && i - candidate <= WINDOW_SIZE && chain-- > 0) {
+        let length = 0;
+        while (length < limit && data[candidate + length] === data[i + length]) {
+          length++;
+        }
+        if (length > bestLength) {
+          bestLength = length;
+          bestDistance = i - candidate;
+          if (length === limit) {
+            break;
+          }
+        }
+        candidate = previous[candidate];
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      const lengthCode = findCode(LENGTH_BASE, bestLength);
+      const distanceCode = findCode(DISTANCE_BASE, bestDistance);
+      bits +=
+        (lengthCode < 23 ? 7 : 8) + LENGTH_EXTRA[lengthCode] + 5 + DISTANCE_EXTRA[distanceCode];
+      list[count++] = bestLength;
+      list[count++] = bestDistance;
+
+      for (let end = i + bestLength; i < end; i++) {
+        insert(i);
+      }
+    } else {
+      bits += data[i] < 144 ? 8 : 9;
+      list[count++] = 0;
+      list[count++] = data[i];
+      insert(i);
+      i++;
+    }
+  }
+
+  return { list, count, bits };
+}
@@ -1,13 +1,19 @@
 /**
  * Base class for all encoders
  *
- * Provides common functionality like polyfills and event handling
+ * Provides common functionality like polyfills, event handling and a bounded
+ * queue for frames that are encoded asynchronously
  */
 class DCFrameEncoder {
   constructor(settings) {
     this.settings = settings;
     this.state = 'idle';
     this.eventListeners = {};
+
+    // Frames handed to add() whose encoding has not finished yet
+    this.maxPendingFrames = settings.maxPendingFrames || 8;
+    this.pendingFrames = 0;
+    this.frameWaiters = [];
   }
 
   /**
@@ -22,6 +28,19 @@ class DCFrameEncoder {
     this.eventListeners[event].push(callback);
   }
 
+  /**
+   * Removes an event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback added with on()
+   */
+  off(event, callback) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = this.eventListeners[event].filter(
+        listener => listener !== callback
+      );
+    }
+  }
+
   /**
    * Emits an event with optional data
    * @param {string} event - Event name
@@ -47,14 +66,74 @@ class DCFrameEncoder {
     this.state = 'finished';
   }
 
+  /**
+   * Pauses the encoder, keeping it open for more frames
+   */
+  pause() {
+    this.state = 'paused';
+  }
+
+  /**
+   * Resumes a paused encoder
+   */
+  resume() {
+    this.state = 'recording';
+  }
+
   /**
    * Adds a frame to the encoder
+   *
+   * Subclasses that encode asynchronously pass their work to track() and
+   * return the resulting promise
    * @param {HTMLCanvasElement} canvas - Canvas element to capture
+   * @returns {Promise|undefined} Resolves once the frame has been encoded
    */
   add(canvas) {
     // To be implemented by subclasses
   }
 
+  /**
+   * Checks whether another frame can be added without exceeding maxPendingFrames
+   * @returns {boolean} True if the encoder has room for a frame
+   */
+  canAccept() {
+    return this.pendingFrames < this.maxPendingFrames;
+  }
+
+  /**
+   * Waits until the encoder has room for another frame
+   * @returns {Promise} Resolves once a frame can be added
+   */
+  ready() {
+    if (this.canAccept()) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.frameWaiters.push(resolve));
+  }
+
+  /**
+   * Counts a frame as pending until its encoding work settles
+   * @param {Promise} work - Encoding work for one frame
+   * @returns {Promise} The same work
+   * @protected
+   */
+  track(work) {
+    this.pendingFrames++;
+
+    const done = () => {
+      this.pendingFrames--;
+
+      // Every finished frame frees exactly one slot
+      if (this.frameWaiters.length > 0) {
+        this.frameWaiters.shift()();
+      }
+    };
+    work.then(done, done);
+
+    return work;
+  }
+
   /**
    * Saves the recorded data
    * @param {Function} [callback] - Callback to receive the blob
@@ -119,4 +198,31 @@ export function guid() {
   return s4() + s4() + '-' + s4() + '-' + s4() + '-' + s4() + '-' + s4() + s4() + s4();
 }
 
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 (as used by PNG, ZIP and gzip) of some bytes
+ * @param {Uint8Array} bytes - Data to checksum
+ * @param {number} [crc=0] - CRC of the preceding data, to continue a running checksum
+ * @returns {number} Unsigned 32-bit CRC
+ */
+export function crc32(bytes, crc = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  crc = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
 export default DCFrameEncoder;
@@ -1,12 +1,39 @@
 import DCFrameEncoder from './DCFrameEncoder.js';
 
+/**
+ * GIF disposal methods
+ */
+const DISPOSE_NONE = 1;
+const DISPOSE_BACKGROUND = 2;
+
+/**
+ * Pixels less opaque than this are transparent in the GIF, as in gif.worker.js
+ */
+const ALPHA_THRESHOLD = 128;
+
 /**
  * Encoder for creating GIF animations
+ *
+ * Unless optimize is turned off, every frame after the first only contains the
+ * rectangle that changed, with unchanged pixels left transparent. A frame is
+ * held back until the next one arrives, which decides its disposal method.
+ *
+ * With a palette per frame, frames are encoded by the workers as they arrive
+ * and count as pending until their worker is done. A global palette needs
+ * every frame first, so those are only encoded when the recording stops.
  */
 export default class DCGIFEncoder extends DCFrameEncoder {
   /**
    * Creates a new GIF encoder
    * @param {Object} settings - Encoder settings
+   * @param {string|boolean} [settings.dither=false] - Dithering (floyd-steinberg, atkinson, bayer)
+   * @param {boolean|number} [settings.transparent=null] - true to keep canvas alpha, or a 0xRRGGBB color to make transparent
+   * @param {string} [settings.background='#fff'] - Color behind transparent canvas pixels when alpha is not kept
+   * @param {boolean} [settings.optimize=true] - Only encode the changed part of each frame
+   * @param {string} [settings.paletteMode='per-frame'] - Palette per frame, or one global palette built from all frames (global) or a few of them (sampled)
+   * @param {number} [settings.paletteSamples=10] - Frames the sampled palette is built from
+   * @param {string} [settings.quantizer='neuquant'] - Color quantizer (neuquant, median-cut, octree, wu)
+   * @param {boolean} [settings.exactColors=false] - Keep the exact colors of frames with 256 colors or less
    */
   constructor(settings) {
     super(settings);
@@ -16,12 +43,23 @@ export default class DCGIFEncoder extends DCFrameEncoder {
     this.quality = settings.quality / 100 || 0.8;
     this.workers = settings.workers || 4;
     this.workerPath = settings.workersPath + 'gif.worker.js';
+    this.dither = settings.dither || false;
+    this.transparent = settings.transparent === undefined ? null : settings.transparent;
+    this.background = settings.background || '#fff';
+    // Unchanged pixels use the transparent index, which a transparent color would conflict with
+    this.optimize = settings.optimize !== false && typeof this.transparent !== 'number';
+    this.paletteMode = settings.paletteMode || 'per-frame';
+    this.paletteSamples = settings.paletteSamples || 10;
+    this.quantizer = settings.quantizer || 'neuquant';
+    this.exactColors = !!settings.exactColors;
 
     this.canvas = null;
     this.ctx = null;
     this.sizeSet = false;
     this.encoder = null;
     this.delay = 0;
+    this.pending = null;
+    this.frameCallbacks = new Map();
   }
 
   /**
@@ -35,6 +73,9 @@ export default class DCGIFEncoder extends DCFrameEncoder {
         throw new Error('GIF.js is not loaded');
       }
 
+      // Forget the previous recording
+      this.savedBlob = null;
+
       // Calculate delay based on framerate
       this.delay = 1000 / (this.settings.framerate || 60);
 
@@ -43,6 +84,14 @@ export default class DCGIFEncoder extends DCFrameEncoder {
         workers: this.workers,
         quality: Math.round((1 - this.quality) * 100),
         workerScript: this.workerPath,
+        dither: this.dither,
+        quantizer: this.quantizer,
+        exactColors: this.exactColors,
+        transparent: this.transparent,
+        background: this.background,
+        // The global palette is built by a worker when rendering starts
+        globalPalette: this.paletteMode !== 'per-frame',
+        paletteFrames: this.paletteMode === 'sampled' ? this.paletteSamples : null,
         width: 150, // Default, will be set on first frame
         height: 150, // Default, will be set on first frame
       });
@@ -57,10 +106,15 @@ export default class DCGIFEncoder extends DCFrameEncoder {
         this.savedBlob = blob;
       });
 
+      this.encoder.on('frame', index => {
+        this.finishFrame(index);
+      });
+
       // Create a temporary canvas for frame processing
       this.canvas = document.createElement('canvas');
       this.ctx = this.canvas.getContext('2d');
       this.sizeSet = false;
+      this.pending = null;
     } catch (error) {
       console.error('Error starting GIF encoder:', error);
       this.emit('error', 'Error starting GIF encoder');
@@ -70,6 +124,7 @@ export default class DCGIFEncoder extends DCFrameEncoder {
   /**
    * Adds a canvas frame to the GIF
    * @param {HTMLCanvasElement|OffscreenCanvas} inputCanvas - The canvas to capture
+   * @returns {Promise|undefined} Resolves once the frame handed to the workers has been encoded
    */
   add(inputCanvas) {
     if (!this.encoder) {
@@ -87,24 +142,172 @@ export default class DCGIFEncoder extends DCFrameEncoder {
         this.encoder.setOption('height', this.canvas.height);
 
         this.sizeSet = true;
+
+        // Workers can only start once the size is known
+        if (this.paletteMode === 'per-frame') {
+          this.encoder.stream();
+        }
+      }
+
+      // Replace the previous frame, transparent pixels must not keep its content
+      if (this.transparent === true) {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      } else {
+        this.ctx.fillStyle = this.background;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
       }
 
       // Draw the input canvas onto our temporary canvas
       this.ctx.drawImage(inputCanvas, 0, 0);
 
       // Add the frame to the GIF
-      this.encoder.addFrame(this.ctx, {
-        copy: true,
-        delay: this.delay,
-      });
+      let work;
+      if (this.optimize) {
+        work = this.queueFrame(this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height));
+      } else {
+        work = this.addFrame(this.ctx, {
+          copy: true,
+          delay: this.delay,
+        });
+      }
 
       this.step();
+      return work;
     } catch (error) {
       console.error('Error adding frame to GIF:', error);
       this.emit('error', 'Error adding frame to GIF');
     }
   }
 
+  /**
+   * Adds the held back frame to the GIF and holds back a new one
+   *
+   * Pixels that turn transparent can only be cleared by disposing of the
+   * previous frame to the background. The next frame then has to redraw
+   * everything in that rectangle.
+   * @param {ImageData} image - Full frame
+   * @returns {Promise} Resolves once the previous frame has been encoded
+   * @private
+   */
+  queueFrame(image) {
+    const { width, height } = image;
+    const previous = this.pending;
+
+    if (!previous) {
+      this.pending = { image, base: null, rect: { x: 0, y: 0, width, height }, exact: null };
+      return Promise.resolve();
+    }
+
+    const before = previous.image.data;
+    const after = image.data;
+
+    let dispose = DISPOSE_NONE;
+    if (this.transparent === true) {
+      const cleared = getBounds(
+        width,
+        height,
+        i => before[i + 3] >= ALPHA_THRESHOLD && after[i + 3] < ALPHA_THRESHOLD
+      );
+      if (cleared) {
+        previous.rect = unionRect(previous.rect, cleared);
+        dispose = DISPOSE_BACKGROUND;
+      }
+    }
+    const work = this.addSubFrame(previous, dispose);
+
+    const changed = getBounds(width, height, i => !samePixel(before, after, i));
+    const exact = dispose === DISPOSE_BACKGROUND ? previous.rect : null;
+    const rect = exact ? unionRect(exact, changed) : changed;
+
+    this.pending = {
+      image,
+      base: previous.image,
+      // An identical frame still needs one transparent pixel to keep its delay
+      rect: rect || { x: 0, y: 0, width: 1, height: 1 },
+      exact,
+    };
+
+    return work;
+  }
+
+  /**
+   * Adds the changed rectangle of a frame to the GIF
+   * @param {Object} frame - Frame held back by queueFrame
+   * @param {number} dispose - Disposal method
+   * @returns {Promise} Resolves once the frame has been encoded
+   * @private
+   */
+  addSubFrame(frame, dispose) {
+    const { x, y, width, height } = frame.rect;
+    const { exact } = frame;
+    const source = frame.image.data;
+    const base = frame.base ? frame.base.data : null;
+    const sub = this.ctx.createImageData(width, height);
+    const stride = frame.image.width * 4;
+
+    for (let row = 0; row < height; row++) {
+      for (let column = 0; column < width; column++) {
+        const i = (y + row) * stride + (x + column) * 4;
+        const o = (row * width + column) * 4;
+        const redraw =
+          exact &&
+          x + column >= exact.x &&
+          x + column < exact.x + exact.width &&
+          y + row >= exact.y &&
+          y + row < exact.y + exact.height;
+
+        // Unchanged pixels stay transparent and show the previous frame
+        if (base && !redraw && samePixel(base, source, i)) {
+          continue;
+        }
+
+        sub.data[o] = source[i];
+        sub.data[o + 1] = source[i + 1];
+        sub.data[o + 2] = source[i + 2];
+        sub.data[o + 3] = this.transparent === true ? source[i + 3] : 255;
+      }
+    }
+
+    return this.addFrame(sub, {
+      delay: this.delay,
+      dispose,
+      left: x,
+      top: y,
+      transparent: true,
+    });
+  }
+
+  /**
+   * Hands a frame to gif.js, counting it as pending while a worker encodes it
+   * @param {ImageData|CanvasRenderingContext2D} image - Frame
+   * @param {Object} options - Frame options of gif.js
+   * @returns {Promise} Resolves once the frame has been encoded
+   * @private
+   */
+  addFrame(image, options) {
+    const index = this.encoder.addFrame(image, options) - 1;
+
+    // Without streaming nothing is encoded before render()
+    if (!this.encoder.streaming) {
+      return Promise.resolve();
+    }
+
+    return this.track(new Promise(resolve => this.frameCallbacks.set(index, resolve)));
+  }
+
+  /**
+   * Settles the pending frame a worker has finished
+   * @param {number} index - Index of the frame in the GIF
+   * @private
+   */
+  finishFrame(index) {
+    const callback = this.frameCallbacks.get(index);
+    if (callback) {
+      this.frameCallbacks.delete(index);
+      callback();
+    }
+  }
+
   /**
    * Stops the encoder and renders the GIF
    */
@@ -114,6 +317,11 @@ export default class DCGIFEncoder extends DCFrameEncoder {
     }
 
     try {
+      if (this.pending) {
+        this.addSubFrame(this.pending, DISPOSE_NONE);
+        this.pending = null;
+      }
+
       this.encoder.render();
     } catch (error) {
       console.error('Error stopping GIF encoder:', error);
@@ -143,10 +351,80 @@ export default class DCGIFEncoder extends DCFrameEncoder {
       this.encoder.abort();
     }
 
+    // Aborted frames will never finish, nothing may keep waiting for them
+    this.frameCallbacks.forEach(callback => callback());
+    this.frameCallbacks.clear();
+
     this.encoder = null;
     this.canvas = null;
     this.ctx = null;
     this.savedBlob = null;
     this.sizeSet = false;
+    this.pending = null;
+  }
+}
+
+/**
+ * Compares two RGBA pixels, fully transparent pixels are all the same
+ * @param {Uint8ClampedArray} a - First image data
+ * @param {Uint8ClampedArray} b - Second image data
+ * @param {number} i - Offset of the pixel
+ * @returns {boolean} Whether the pixels look the same
+ */
+function samePixel(a, b, i) {
+  if (a[i + 3] < ALPHA_THRESHOLD && b[i + 3] < ALPHA_THRESHOLD) {
+    return true;
+  }
+  return a[i] === b[i] && a[i + 1] === b[i + 1] && a[i + 2] === b[i + 2] && a[i + 3] === b[i + 3];
+}
+
+/**
+ * Finds the bounding rectangle of the pixels that pass a test
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} test - Receives the RGBA offset of a pixel
+ * @returns {Object|null} Rectangle, or null if no pixel passes
+ */
+function getBounds(width, height, test) {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (test((y * width + x) * 4)) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = y;
+      }
+    }
+  }
+
+  if (right < 0) {
+    return null;
   }
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Returns the smallest rectangle containing two rectangles
+ * @param {Object} a - First rectangle
+ * @param {Object|null} b - Second rectangle
+ * @returns {Object} Union of the rectangles
+ */
+function unionRect(a, b) {
+  if (!b) {
+    return a;
+  }
+
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
 }
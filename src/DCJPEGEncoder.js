@@ -19,25 +19,32 @@ export default class DCJPEGEncoder extends DCTarEncoder {
   /**
    * Adds a canvas frame to the sequence
    * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to capture
+   * @returns {Promise} Resolves once the frame has been written to the archive
    */
   add(canvas) {
-    try {
-      canvas.toBlob(
-        blob => {
-          if (!blob) {
-            console.error('Failed to create blob from canvas');
-            this.emit('error', 'Failed to create blob from canvas');
-            return;
-          }
+    return this.track(
+      new Promise(resolve => {
+        try {
+          canvas.toBlob(
+            blob => {
+              if (!blob) {
+                console.error('Failed to create blob from canvas');
+                this.emit('error', 'Failed to create blob from canvas');
+                resolve();
+                return;
+              }
 
-          super.add(blob);
-        },
-        this.type,
-        this.quality
-      );
-    } catch (error) {
-      console.error('Error capturing canvas as JPEG:', error);
-      this.emit('error', 'Error capturing canvas as JPEG');
-    }
+              resolve(this.append(blob));
+            },
+            this.type,
+            this.quality
+          );
+        } catch (error) {
+          console.error('Error capturing canvas as JPEG:', error);
+          this.emit('error', 'Error capturing canvas as JPEG');
+          resolve();
+        }
+      })
+    );
   }
 }
@@ -0,0 +1,139 @@
+import DCWebCodecsEncoder from './DCWebCodecsEncoder.js';
+import DCMP4Muxer from './DCMP4Muxer.js';
+
+/**
+ * Encoder that creates H.264 MP4 files with the WebCodecs VideoEncoder
+ */
+export default class DCMP4Encoder extends DCWebCodecsEncoder {
+  /**
+   * Creates a new MP4 encoder
+   * @param {Object} settings - Encoder settings
+   * @param {string} [settings.codec] - Full avc1 codec string, picked from the frame size by default
+   * @param {boolean} [settings.fragmented=false] - Write a fragmented MP4
+   */
+  constructor(settings) {
+    super(Object.assign({}, settings, { codec: settings.codec || 'avc' }));
+
+    this.extension = '.mp4';
+    this.mimeType = 'video/mp4';
+    this.fragmented = !!settings.fragmented;
+
+    // H.264 needs even dimensions, odd sized frames are padded through this canvas
+    this.evenCanvas = null;
+    this.evenContext = null;
+  }
+
+  /**
+   * Returns the codec strings to try, in order of preference
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @returns {string[]} Codec strings
+   * @protected
+   */
+  getCodecStrings(width, height) {
+    if (this.codec !== 'avc') {
+      return [this.codec];
+    }
+
+    // Level 4.2 covers 1080p at 60fps, level 5.2 covers 4K at 60fps
+    const level = width * height > 1920 * 1088 ? '34' : '2a';
+
+    // High profile first, software encoders may only support baseline
+    return ['avc1.6400' + level, 'avc1.4d00' + level, 'avc1.4200' + level];
+  }
+
+  /**
+   * Returns the VideoEncoder configuration for a codec
+   * @param {string} codec - Codec string
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @returns {Object} VideoEncoder configuration
+   * @protected
+   */
+  getEncoderConfig(codec, width, height) {
+    const config = super.getEncoderConfig(codec, width, height);
+
+    // Length prefixed NAL units with the parameter sets in the description
+    config.avc = { format: 'avc' };
+    return config;
+  }
+
+  /**
+   * Creates the MP4 muxer
+   * @param {Object} config - VideoEncoder configuration
+   * @returns {DCMP4Muxer} Muxer
+   * @protected
+   */
+  createMuxer(config) {
+    return new DCMP4Muxer({
+      width: config.width,
+      height: config.height,
+      frameDuration: 1000 / this.framerate,
+      fragmented: this.fragmented,
+    });
+  }
+
+  /**
+   * Adds a canvas frame to the video
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to capture
+   * @returns {Promise} Resolves once the frame has been encoded
+   */
+  add(canvas) {
+    if (canvas.width % 2 === 0 && canvas.height % 2 === 0) {
+      return super.add(canvas);
+    }
+
+    const width = canvas.width + (canvas.width % 2);
+    const height = canvas.height + (canvas.height % 2);
+
+    if (!this.evenCanvas) {
+      this.evenCanvas = document.createElement('canvas');
+      this.evenContext = this.evenCanvas.getContext('2d');
+    }
+    if (this.evenCanvas.width !== width || this.evenCanvas.height !== height) {
+      this.evenCanvas.width = width;
+      this.evenCanvas.height = height;
+    }
+
+    // Repeat the last column and row instead of leaving a black edge
+    this.evenContext.drawImage(canvas, 0, 0);
+    if (width !== canvas.width) {
+      this.evenContext.drawImage(
+        canvas,
+        canvas.width - 1,
+        0,
+        1,
+        canvas.height,
+        canvas.width,
+        0,
+        1,
+        canvas.height
+      );
+    }
+    if (height !== canvas.height) {
+      this.evenContext.drawImage(
+        this.evenCanvas,
+        0,
+        canvas.height - 1,
+        width,
+        1,
+        0,
+        canvas.height,
+        width,
+        1
+      );
+    }
+
+    return super.add(this.evenCanvas);
+  }
+
+  /**
+   * Disposes resources
+   */
+  dispose() {
+    super.dispose();
+
+    this.evenCanvas = null;
+    this.evenContext = null;
+  }
+}
@@ -0,0 +1,443 @@
+/**
+ * Media timescale, ticks per second (a common multiple of the usual framerates)
+ */
+const TIMESCALE = 90000;
+
+/**
+ * Movie timescale used for the overall durations
+ */
+const MOVIE_TIMESCALE = 1000;
+
+/**
+ * Identity transformation matrix of mvhd and tkhd
+ */
+const MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+/**
+ * Muxes H.264 chunks into an MP4 (ISO BMFF) file
+ *
+ * Keeps the encoded frames in memory and writes the complete file once all
+ * frames have been added. Regular files put moov before mdat so playback can
+ * start before the whole file is loaded. Fragmented files write one moof/mdat
+ * pair per keyframe.
+ */
+export default class DCMP4Muxer {
+  /**
+   * Creates a new MP4 muxer
+   * @param {Object} options - Muxer options
+   * @param {number} options.width - Frame width
+   * @param {number} options.height - Frame height
+   * @param {number} options.frameDuration - Duration of a frame in milliseconds
+   * @param {Uint8Array} [options.codecPrivate] - AVCDecoderConfigurationRecord (avcC)
+   * @param {boolean} [options.fragmented=false] - Write a fragmented MP4
+   */
+  constructor(options) {
+    this.width = options.width;
+    this.height = options.height;
+    this.frameDuration = options.frameDuration;
+    this.codecPrivate = options.codecPrivate || null;
+    this.fragmented = !!options.fragmented;
+
+    this.samples = [];
+  }
+
+  /**
+   * Adds an encoded frame
+   * @param {Uint8Array} data - Encoded frame in AVC (length prefixed) format
+   * @param {number} timestamp - Presentation time in microseconds
+   * @param {boolean} keyframe - Whether the frame can be decoded on its own
+   */
+  addFrame(data, timestamp, keyframe) {
+    this.samples.push({
+      data,
+      time: Math.round((timestamp * TIMESCALE) / 1e6),
+      duration: 0,
+      keyframe,
+    });
+  }
+
+  /**
+   * Writes the complete file
+   * @returns {Blob} MP4 video
+   */
+  finalize() {
+    if (!this.codecPrivate) {
+      throw new Error('Missing AVC decoder configuration');
+    }
+
+    // Each sample lasts until the next one starts
+    this.samples.forEach((sample, i) => {
+      const next = this.samples[i + 1];
+      sample.duration = next
+        ? next.time - sample.time
+        : Math.round((this.frameDuration * TIMESCALE) / 1000);
+    });
+
+    const parts = this.fragmented ? this.writeFragmented() : this.writeRegular();
+    return new Blob(parts, { type: 'video/mp4' });
+  }
+
+  /**
+   * Returns the duration of all samples in media ticks
+   * @returns {number} Duration
+   * @private
+   */
+  getDuration() {
+    return this.samples.reduce((duration, sample) => duration + sample.duration, 0);
+  }
+
+  /**
+   * Writes ftyp, moov and a single mdat holding every sample
+   * @returns {Uint8Array[]} File contents
+   * @private
+   */
+  writeRegular() {
+    const ftyp = box('ftyp', [ascii('isom'), u32(0x200), ascii('isomiso2avc1mp41')]);
+
+    const dataSize = this.samples.reduce((size, sample) => size + sample.data.byteLength, 0);
+    const largeData = dataSize + 16 > 0xffffffff;
+    const mdatHeader = largeData
+      ? concatBytes([u32(1), ascii('mdat'), u64(dataSize + 16)])
+      : concatBytes([u32(dataSize + 8), ascii('mdat')]);
+
+    // The chunk offset does not change the size of moov, so it can be measured first
+    const moovSize = byteLength(this.createMoov(0, largeData));
+    const dataOffset = byteLength(ftyp) + moovSize + mdatHeader.byteLength;
+    const moov = this.createMoov(dataOffset, largeData);
+
+    return ftyp.concat(
+      moov,
+      [mdatHeader],
+      this.samples.map(sample => sample.data)
+    );
+  }
+
+  /**
+   * Writes ftyp, an empty moov and one moof/mdat pair per keyframe
+   * @returns {Uint8Array[]} File contents
+   * @private
+   */
+  writeFragmented() {
+    const ftyp = box('ftyp', [ascii('iso5'), u32(0x200), ascii('iso5iso6mp41avc1')]);
+    const moov = this.createMoov(0, false);
+
+    const fragments = [];
+    this.samples.forEach(sample => {
+      if (sample.keyframe || fragments.length === 0) {
+        fragments.push([]);
+      }
+      fragments[fragments.length - 1].push(sample);
+    });
+
+    const parts = ftyp.concat(moov);
+    fragments.forEach((samples, i) => {
+      const dataSize = samples.reduce((size, sample) => size + sample.data.byteLength, 0);
+
+      // The data offset points past moof, which has a fixed size for its samples
+      const moofSize = byteLength(createMoof(i + 1, samples, 0));
+      const moof = createMoof(i + 1, samples, moofSize + 8);
+
+      parts.push(...moof, u32(dataSize + 8), ascii('mdat'));
+      samples.forEach(sample => parts.push(sample.data));
+    });
+
+    return parts;
+  }
+
+  /**
+   * Creates the moov box
+   * @param {number} dataOffset - File offset of the first sample
+   * @param {boolean} largeOffsets - Write 64-bit chunk offsets
+   * @returns {Uint8Array[]} Encoded box
+   * @private
+   */
+  createMoov(dataOffset, largeOffsets) {
+    // Fragmented files describe their samples in the fragments instead
+    const samples = this.fragmented ? [] : this.samples;
+    const duration = this.getDuration();
+    const movieDuration = Math.round((duration * MOVIE_TIMESCALE) / TIMESCALE);
+    const headerDuration = this.fragmented ? 0 : movieDuration;
+
+    const mvhd = fullBox('mvhd', 0, 0, [
+      u32(0), // creation_time
+      u32(0), // modification_time
+      u32(MOVIE_TIMESCALE),
+      u32(headerDuration),
+      u32(0x00010000), // rate 1.0
+      u16(0x0100), // volume 1.0
+      new Uint8Array(10), // reserved
+      MATRIX.map(u32),
+      new Uint8Array(24), // pre_defined
+      u32(2), // next_track_ID
+    ]);
+
+    const tkhd = fullBox('tkhd', 0, 3, [
+      u32(0), // creation_time
+      u32(0), // modification_time
+      u32(1), // track_ID
+      u32(0), // reserved
+      u32(headerDuration),
+      new Uint8Array(8), // reserved
+      u16(0), // layer
+      u16(0), // alternate_group
+      u16(0), // volume
+      u16(0), // reserved
+      MATRIX.map(u32),
+      u32(this.width * 0x10000),
+      u32(this.height * 0x10000),
+    ]);
+
+    const mdhd = fullBox('mdhd', 0, 0, [
+      u32(0), // creation_time
+      u32(0), // modification_time
+      u32(TIMESCALE),
+      u32(this.fragmented ? 0 : duration),
+      u16(0x55c4), // language: und
+      u16(0), // pre_defined
+    ]);
+
+    const hdlr = fullBox('hdlr', 0, 0, [
+      u32(0), // pre_defined
+      ascii('vide'),
+      new Uint8Array(12), // reserved
+      ascii('VideoHandler\0'),
+    ]);
+
+    const vmhd = fullBox('vmhd', 0, 1, [u16(0), u16(0), u16(0), u16(0)]);
+    const dinf = box('dinf', [fullBox('dref', 0, 0, [u32(1), fullBox('url ', 0, 1, [])])]);
+
+    const minf = box('minf', [vmhd, dinf, this.createStbl(samples, dataOffset, largeOffsets)]);
+    const mdia = box('mdia', [mdhd, hdlr, minf]);
+    const trak = box('trak', [tkhd, mdia]);
+
+    const children = [mvhd, trak];
+    if (this.fragmented) {
+      children.push(
+        box('mvex', [
+          fullBox('mehd', 0, 0, [u32(movieDuration)]),
+          fullBox('trex', 0, 0, [
+            u32(1), // track_ID
+            u32(1), // default_sample_description_index
+            u32(0), // default_sample_duration
+            u32(0), // default_sample_size
+            u32(0), // default_sample_flags
+          ]),
+        ])
+      );
+    }
+
+    return box('moov', children);
+  }
+
+  /**
+   * Creates the sample table, with all samples stored in one chunk
+   * @param {Object[]} samples - Samples to describe
+   * @param {number} dataOffset - File offset of the first sample
+   * @param {boolean} largeOffsets - Write 64-bit chunk offsets
+   * @returns {Uint8Array[]} Encoded box
+   * @private
+   */
+  createStbl(samples, dataOffset, largeOffsets) {
+    const avc1 = box('avc1', [
+      new Uint8Array(6), // reserved
+      u16(1), // data_reference_index
+      new Uint8Array(16), // pre_defined and reserved
+      u16(this.width),
+      u16(this.height),
+      u32(0x00480000), // horizresolution 72 dpi
+      u32(0x00480000), // vertresolution 72 dpi
+      u32(0), // reserved
+      u16(1), // frame_count
+      new Uint8Array(32), // compressorname
+      u16(0x0018), // depth
+      u16(0xffff), // pre_defined
+      box('avcC', [this.codecPrivate]),
+    ]);
+    const stsd = fullBox('stsd', 0, 0, [u32(1), avc1]);
+
+    // Run-length encoded sample durations
+    const timeToSample = [];
+    samples.forEach(sample => {
+      const last = timeToSample[timeToSample.length - 1];
+      if (last && last.duration === sample.duration) {
+        last.count++;
+      } else {
+        timeToSample.push({ count: 1, duration: sample.duration });
+      }
+    });
+    const stts = fullBox('stts', 0, 0, [
+      u32(timeToSample.length),
+      timeToSample.map(entry => [u32(entry.count), u32(entry.duration)]),
+    ]);
+
+    const syncSamples = [];
+    samples.forEach((sample, i) => {
+      if (sample.keyframe) {
+        syncSamples.push(u32(i + 1));
+      }
+    });
+    const stss = fullBox('stss', 0, 0, [u32(syncSamples.length), syncSamples]);
+
+    const stsz = fullBox('stsz', 0, 0, [
+      u32(0), // sample_size: sizes follow
+      u32(samples.length),
+      samples.map(sample => u32(sample.data.byteLength)),
+    ]);
+
+    const chunks = samples.length > 0 ? 1 : 0;
+    const stsc = fullBox('stsc', 0, 0, [
+      u32(chunks),
+      chunks ? [u32(1), u32(samples.length), u32(1)] : [],
+    ]);
+    const stco = largeOffsets
+      ? fullBox('co64', 0, 0, [u32(chunks), chunks ? u64(dataOffset) : []])
+      : fullBox('stco', 0, 0, [u32(chunks), chunks ? u32(dataOffset) : []]);
+
+    const children = [stsd, stts];
+    if (samples.length > 0) {
+      children.push(stss);
+    }
+    children.push(stsc, stsz, stco);
+
+    return box('stbl', children);
+  }
+}
+
+/**
+ * Creates a moof box for one fragment
+ * @param {number} sequence - Fragment sequence number, starting at 1
+ * @param {Object[]} samples - Samples of the fragment
+ * @param {number} dataOffset - Offset of the first sample from the start of moof
+ * @returns {Uint8Array[]} Encoded box
+ */
+function createMoof(sequence, samples, dataOffset) {
+  const trun = fullBox('trun', 0, 0x000701, [
+    u32(samples.length),
+    u32(dataOffset),
+    samples.map(sample => [
+      u32(sample.duration),
+      u32(sample.data.byteLength),
+      // Keyframes depend on nothing, other frames are not sync samples
+      u32(sample.keyframe ? 0x02000000 : 0x01010000),
+    ]),
+  ]);
+
+  return box('moof', [
+    fullBox('mfhd', 0, 0, [u32(sequence)]),
+    box('traf', [
+      fullBox('tfhd', 0, 0x020000, [u32(1)]), // default-base-is-moof
+      fullBox('tfdt', 1, 0, [u64(samples[0].time)]),
+      trun,
+    ]),
+  ]);
+}
+
+/**
+ * Returns the total length of a list of byte arrays
+ * @param {Uint8Array[]} parts - Byte arrays
+ * @returns {number} Length in bytes
+ */
+function byteLength(parts) {
+  return parts.reduce((length, part) => length + part.byteLength, 0);
+}
+
+/**
+ * Joins byte arrays into one
+ * @param {Uint8Array[]} parts - Byte arrays
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(parts) {
+  const bytes = new Uint8Array(byteLength(parts));
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.byteLength;
+  });
+  return bytes;
+}
+
+/**
+ * Flattens nested arrays of byte arrays
+ * @param {Array} parts - Byte arrays, possibly nested
+ * @param {Uint8Array[]} [flat=[]] - List to append to
+ * @returns {Uint8Array[]} Flat list
+ */
+function flatten(parts, flat = []) {
+  parts.forEach(part => {
+    if (Array.isArray(part)) {
+      flatten(part, flat);
+    } else {
+      flat.push(part);
+    }
+  });
+  return flat;
+}
+
+/**
+ * Encodes a box
+ * @param {string} type - Four character box type
+ * @param {Array} parts - Payload, possibly nested
+ * @returns {Uint8Array[]} Encoded box
+ */
+function box(type, parts) {
+  const payload = flatten(parts);
+  return [u32(byteLength(payload) + 8), ascii(type)].concat(payload);
+}
+
+/**
+ * Encodes a full box, which starts with a version and flags
+ * @param {string} type - Four character box type
+ * @param {number} version - Box version
+ * @param {number} flags - 24-bit flags
+ * @param {Array} parts - Payload, possibly nested
+ * @returns {Uint8Array[]} Encoded box
+ */
+function fullBox(type, version, flags, parts) {
+  return box(type, [u32(version * 0x1000000 + flags)].concat(parts));
+}
+
+/**
+ * Encodes a 16-bit unsigned integer
+ * @param {number} value - Value
+ * @returns {Uint8Array} Big-endian bytes
+ */
+function u16(value) {
+  return new Uint8Array([(value >> 8) & 0xff, value & 0xff]);
+}
+
+/**
+ * Encodes a 32-bit unsigned integer
+ * @param {number} value - Value
+ * @returns {Uint8Array} Big-endian bytes
+ */
+function u32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value);
+  return bytes;
+}
+
+/**
+ * Encodes a 64-bit unsigned integer
+ * @param {number} value - Value, up to 2^53
+ * @returns {Uint8Array} Big-endian bytes
+ */
+function u64(value) {
+  const bytes = new Uint8Array(8);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, Math.floor(value / 0x100000000));
+  view.setUint32(4, value % 0x100000000);
+  return bytes;
+}
+
+/**
+ * Encodes an ASCII string
+ * @param {string} value - Value
+ * @returns {Uint8Array} Bytes
+ */
+function ascii(value) {
+  const bytes = new Uint8Array(value.length);
+  for (let i = 0; i < value.length; i++) {
+    bytes[i] = value.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -43,6 +43,7 @@ export default class DCMediaRecorderEncoder extends DCFrameEncoder {
       // Setup the canvas that will be recorded
       this.canvas = document.createElement('canvas');
       this.context = this.canvas.getContext('2d');
+      this.firstFrame = true;
 
       // Create a media stream from the canvas
       this.stream = this.canvas.captureStream(this.framerate);
@@ -92,6 +93,7 @@ export default class DCMediaRecorderEncoder extends DCFrameEncoder {
   /**
    * Adds a canvas frame to the recording
    * @param {HTMLCanvasElement|OffscreenCanvas} inputCanvas - The canvas to capture
+   * @returns {Promise|undefined} Resolves right away, the recorder encodes in real time
    */
   add(inputCanvas) {
     if (!this.supported || !this.recorder) {
@@ -106,7 +108,9 @@ export default class DCMediaRecorderEncoder extends DCFrameEncoder {
         this.firstFrame = false;
       }
 
-      // Draw the input canvas onto our recording canvas
+      // Draw the input canvas onto our recording canvas, replacing the previous
+      // frame so transparent areas stay transparent
+      this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
       this.context.drawImage(inputCanvas, 0, 0);
 
       // Request animation frame to ensure smooth capture
@@ -115,6 +119,31 @@ export default class DCMediaRecorderEncoder extends DCFrameEncoder {
       console.error('Error adding frame:', error);
       this.emit('error', 'Error adding frame');
     }
+
+    // The stream samples the recording canvas itself, nothing is left pending
+    return this.track(Promise.resolve());
+  }
+
+  /**
+   * Pauses the recorder so the frozen frame is not recorded
+   */
+  pause() {
+    super.pause();
+
+    if (this.recorder && this.recorder.state === 'recording') {
+      this.recorder.pause();
+    }
+  }
+
+  /**
+   * Resumes a paused recorder
+   */
+  resume() {
+    super.resume();
+
+    if (this.recorder && this.recorder.state === 'paused') {
+      this.recorder.resume();
+    }
   }
 
   /**
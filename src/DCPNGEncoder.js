@@ -18,21 +18,28 @@ export default class DCPNGEncoder extends DCTarEncoder {
   /**
    * Adds a canvas frame to the sequence
    * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to capture
+   * @returns {Promise} Resolves once the frame has been written to the archive
    */
   add(canvas) {
-    try {
-      canvas.toBlob(blob => {
-        if (!blob) {
-          console.error('Failed to create blob from canvas');
-          this.emit('error', 'Failed to create blob from canvas');
-          return;
-        }
+    return this.track(
+      new Promise(resolve => {
+        try {
+          canvas.toBlob(blob => {
+            if (!blob) {
+              console.error('Failed to create blob from canvas');
+              this.emit('error', 'Failed to create blob from canvas');
+              resolve();
+              return;
+            }
 
-        super.add(blob);
-      }, this.type);
-    } catch (error) {
-      console.error('Error capturing canvas as PNG:', error);
-      this.emit('error', 'Error capturing canvas as PNG');
-    }
+            resolve(this.append(blob));
+          }, this.type);
+        } catch (error) {
+          console.error('Error capturing canvas as PNG:', error);
+          this.emit('error', 'Error capturing canvas as PNG');
+          resolve();
+        }
+      })
+    );
   }
 }
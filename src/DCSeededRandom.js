@@ -0,0 +1,108 @@
+/**
+ * Seeded replacement for Math.random (and optionally crypto.getRandomValues)
+ *
+ * Makes captures of generative animations reproducible: every install()
+ * restarts the same pseudo-random sequence for a given seed
+ */
+export default class DCSeededRandom {
+  /**
+   * Creates a new seeded random source
+   * @param {number|string} seed - Seed of the sequence
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.crypto=false] - Also replace crypto.getRandomValues
+   */
+  constructor(seed, options = {}) {
+    this.seed = hashSeed(seed);
+    this.hookCrypto = !!options.crypto;
+    this.state = this.seed;
+
+    this.installed = false;
+    this.originals = null;
+  }
+
+  /**
+   * Returns the next number of the sequence
+   * @returns {number} Number in [0, 1)
+   */
+  next() {
+    // mulberry32
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Fills a typed array with bytes of the sequence
+   * @param {ArrayBufferView} array - Integer typed array to fill
+   * @returns {ArrayBufferView} The same array
+   */
+  fill(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Math.floor(this.next() * 256);
+    }
+    return array;
+  }
+
+  /**
+   * Restarts the sequence and replaces the global random functions
+   */
+  install() {
+    if (this.installed) {
+      return;
+    }
+
+    this.state = this.seed;
+    this.originals = {
+      random: Math.random,
+      getRandomValues: null,
+    };
+
+    Math.random = () => this.next();
+
+    if (this.hookCrypto && window.crypto && window.crypto.getRandomValues) {
+      this.originals.getRandomValues = window.crypto.getRandomValues;
+      window.crypto.getRandomValues = array => this.fill(array);
+    }
+
+    this.installed = true;
+  }
+
+  /**
+   * Restores the original random functions
+   */
+  uninstall() {
+    if (!this.installed) {
+      return;
+    }
+
+    Math.random = this.originals.random;
+    if (this.originals.getRandomValues) {
+      window.crypto.getRandomValues = this.originals.getRandomValues;
+    }
+
+    this.installed = false;
+  }
+}
+
+/**
+ * Turns a number or string seed into a 32-bit integer
+ * @param {number|string} seed - Seed
+ * @returns {number} 32-bit seed
+ */
+function hashSeed(seed) {
+  if (Number.isInteger(seed)) {
+    return seed | 0;
+  }
+
+  // FNV-1a
+  const str = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash | 0;
+}
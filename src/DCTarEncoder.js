@@ -1,60 +1,181 @@
 import DCFrameEncoder from './DCFrameEncoder.js';
-import { pad } from './DCFrameEncoder.js';
+import { pad, guid } from './DCFrameEncoder.js';
+import DCZipWriter from './DCZipWriter.js';
+import DCDeflate from './DCDeflate.js';
+
+/**
+ * Size of the pieces a TAR archive is read in when gzipping it without CompressionStream
+ */
+const GZIP_CHUNK_SIZE = 1 << 20;
+
+/**
+ * Sinks closed by a finished capture, kept across the encoders of every take
+ */
+const closedSinks = new WeakSet();
 
 /**
  * Encoder for creating TAR archives of frames
+ *
+ * With settings.archive set to 'zip' the frames go in a ZIP archive instead.
+ * With settings.sink the TAR records are streamed to it as frames arrive,
+ * and stop() writes the trailer and closes it. A closed sink can't take
+ * another capture, so a function returning a new sink is called for each one.
+ * With settings.compress a TAR archive is gzipped, with CompressionStream or
+ * the bundled DCDeflate.
+ *
+ * Frames are named by settings.framePattern, where {name} is the capture
+ * name, {index} the frame number ({index:05} pads it to five digits) and {ext}
+ * the image extension.
  */
 export default class DCTarEncoder extends DCFrameEncoder {
   /**
    * Creates a new TAR encoder
    * @param {Object} settings - Encoder settings
+   * @param {string} [settings.archive='tar'] - Archive format (tar, zip)
+   * @param {boolean} [settings.compress=false] - Gzip a TAR archive, or deflate the files of a ZIP archive
+   * @param {WritableStream|FileSystemFileHandle|Object|Function} [settings.sink] - Destination to stream a TAR archive to, a custom sink has write(chunk) and close(). A function is called for a new destination on every take
+   * @param {string} [settings.framePattern] - Path of each frame in the archive, frames are named 000000.png by default
+   * @param {number} [settings.frameStart=0] - Index of the first frame
+   * @param {Date|number} [settings.mtime] - Modification time of every file, in seconds since the epoch (defaults to the start of the capture)
+   * @param {string} [settings.owner=''] - Owner user name of TAR entries
+   * @param {string} [settings.group=''] - Owner group name of TAR entries
    */
   constructor(settings) {
     super(settings);
 
-    this.extension = '.tar';
-    this.mimeType = 'application/x-tar';
+    this.archive = settings.archive || 'tar';
+    this.compress = !!settings.compress;
+    this.gzip = this.archive === 'tar' && this.compress;
+    if (this.archive === 'zip') {
+      this.extension = '.zip';
+      this.mimeType = 'application/zip';
+    } else if (this.gzip) {
+      this.extension = '.tar.gz';
+      this.mimeType = 'application/gzip';
+    } else {
+      this.extension = '.tar';
+      this.mimeType = 'application/x-tar';
+    }
     this.fileExtension = '';
+    // Names the auto-saved parts and {name} in framePattern
+    this.filename = settings.name || guid();
     this.baseFilename = this.filename;
+    this.sink = settings.sink || null;
+    this.framePattern = settings.framePattern || null;
+    this.frameStart = settings.frameStart || 0;
+    this.fileOptions = {
+      mtime: settings.mtime instanceof Date ? settings.mtime.getTime() / 1000 : settings.mtime,
+      owner: settings.owner || '',
+      group: settings.group || '',
+    };
+
+    if (this.sink && this.archive !== 'tar') {
+      console.warn('Only TAR archives can be streamed to a sink');
+      this.sink = null;
+    }
 
     this.tape = null;
     this.count = 0;
     this.part = 1;
     this.frames = 0;
+    this.written = Promise.resolve();
+    this.finishPromise = null;
+    this.mtime = 0;
   }
 
   /**
    * Starts the encoder
    */
   start() {
+    super.start();
+
+    if (this.sink && typeof this.sink !== 'function' && closedSinks.has(this.sink)) {
+      console.error('Archive sink is closed, pass a function returning a new sink for each take');
+      this.emit('error', 'Archive sink is closed');
+      this.tape = null;
+      return;
+    }
+
     this.dispose();
+    this.written = Promise.resolve();
+    this.finishPromise = null;
+    this.mtime = Date.now() / 1000;
+    this.frames = 0;
+    this.part = 1;
+    this.filename = this.baseFilename;
   }
 
   /**
    * Adds a blob to the archive
    * @param {Blob} blob - The blob to add
+   * @returns {Promise} Resolves once the blob has been written to the archive
    */
   add(blob) {
-    const fileReader = new FileReader();
+    return this.track(this.append(blob));
+  }
 
-    fileReader.onload = () => {
-      this.tape.append(pad(this.count) + this.fileExtension, new Uint8Array(fileReader.result));
+  /**
+   * Counts a frame as pending and keeps stop() waiting until it is written
+   * @param {Promise} work - Work for one frame
+   * @returns {Promise} The same work
+   * @protected
+   */
+  track(work) {
+    this.written = Promise.all([this.written, work]);
+    return super.track(work);
+  }
 
-      if (
-        this.settings.autoSaveTime > 0 &&
-        this.frames / this.settings.framerate >= this.settings.autoSaveTime
-      ) {
-        this.save(blob => {
-          this.filename = this.baseFilename + '-part-' + pad(this.part);
+  /**
+   * Reads a blob and appends it to the archive
+   * @param {Blob} blob - The blob to append
+   * @returns {Promise} Resolves once the blob has been written to the archive
+   * @protected
+   */
+  append(blob) {
+    // No archive after a take was refused its closed sink
+    if (!this.tape) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const fileReader = new FileReader();
+
+      fileReader.onload = () => {
+        // ZIP archives may still be compressing the file, sinks may still be writing it
+        const written = Promise.resolve(
+          this.tape.append(this.framePath(this.count), new Uint8Array(fileReader.result), {
+            ...this.fileOptions,
+            // Every file of a capture gets the same time, so archives only differ by their frames
+            mtime: Math.floor(
+              this.fileOptions.mtime !== undefined ? this.fileOptions.mtime : this.mtime
+            ),
+          })
+        ).catch(error => {
+          console.error('Error writing archive:', error);
+          this.emit('error', 'Error writing archive');
+        });
+
+        // A streamed archive is not held in memory, so it is never split in parts
+        if (
+          !this.sink &&
+          this.settings.autoSaveTime > 0 &&
+          this.frames / this.settings.framerate >= this.settings.autoSaveTime
+        ) {
+          const filename = this.baseFilename + '-part-' + pad(this.part);
 
-          // Check if download function is available
-          if (typeof download === 'function') {
-            download(blob, this.filename + this.extension, this.mimeType);
-          } else {
-            console.warn('Download function not available');
-            this.emit('error', 'Download function not available');
-          }
+          this.save(blob => {
+            this.filename = filename;
 
+            // Check if download function is available
+            if (typeof download === 'function') {
+              download(blob, filename + this.extension, this.mimeType);
+            } else {
+              console.warn('Download function not available');
+              this.emit('error', 'Download function not available');
+            }
+          });
+
+          // The next part starts right away, the saved archive may still be finishing
           const count = this.count;
           this.dispose();
           this.count = count + 1;
@@ -62,24 +183,103 @@ export default class DCTarEncoder extends DCFrameEncoder {
           this.filename = this.baseFilename + '-part-' + pad(this.part);
           this.frames = 0;
           this.step();
-        });
-      } else {
-        this.count++;
-        this.frames++;
-        this.step();
+        } else {
+          this.count++;
+          this.frames++;
+          this.step();
+        }
+
+        resolve(written);
+      };
+
+      fileReader.onerror = error => {
+        console.error('Error reading blob:', error);
+        this.emit('error', 'Error reading blob');
+        resolve();
+      };
+
+      fileReader.readAsArrayBuffer(blob);
+    });
+  }
+
+  /**
+   * Returns the path of a frame in the archive
+   * @param {number} count - Frames already added to the capture
+   * @returns {string} Path of the frame
+   * @protected
+   */
+  framePath(count) {
+    const index = this.frameStart + count;
+
+    if (!this.framePattern) {
+      return pad(index) + this.fileExtension;
+    }
+
+    return this.framePattern.replace(/\{(name|index|ext)(?::(\d+))?\}/g, (match, key, width) => {
+      if (key === 'name') {
+        return this.baseFilename;
       }
-    };
+      if (key === 'ext') {
+        return this.fileExtension.slice(1);
+      }
+      return width ? pad(index, parseInt(width, 10)) : index + '';
+    });
+  }
 
-    fileReader.onerror = error => {
-      console.error('Error reading blob:', error);
-      this.emit('error', 'Error reading blob');
-    };
+  /**
+   * Creates the archive the frames are appended to
+   * @returns {Tar|DCZipWriter} Archive
+   * @protected
+   */
+  createTape() {
+    if (this.archive === 'zip') {
+      return new DCZipWriter({ compress: this.compress });
+    }
+
+    // We need to dynamically import Tar since it might be a global
+    // or imported separately
+    let sink = this.sink ? createSink(this.sink) : null;
+    if (sink && this.gzip) {
+      sink = createGzipSink(sink);
+    }
+    return new Tar(20, sink);
+  }
+
+  /**
+   * Writes the trailer of a streamed archive and closes the sink
+   * @returns {Promise} Resolves once the sink is closed
+   * @private
+   */
+  finish() {
+    if (!this.finishPromise) {
+      if (this.sink && typeof this.sink !== 'function') {
+        closedSinks.add(this.sink);
+      }
+      this.finishPromise = this.written
+        .then(() => this.tape.save())
+        .catch(error => {
+          console.error('Error closing archive sink:', error);
+          this.emit('error', 'Error closing archive sink');
+        });
+    }
 
-    fileReader.readAsArrayBuffer(blob);
+    return this.finishPromise;
   }
 
   /**
-   * Saves the TAR archive
+   * Stops the encoder
+   * @returns {Promise} Resolves once every frame is in the archive
+   */
+  stop() {
+    super.stop();
+
+    return this.sink && this.tape ? this.finish() : this.written;
+  }
+
+  /**
+   * Saves the archive
+   *
+   * A streamed archive is already in its sink and the callback receives null
    * @param {Function} callback - Callback receiving the blob
    */
   save(callback) {
@@ -89,7 +289,25 @@ export default class DCTarEncoder extends DCFrameEncoder {
       return;
     }
 
-    callback(this.tape.save());
+    if (this.sink) {
+      this.finish().then(() => {
+        if (callback) {
+          callback(null);
+        }
+      });
+      return;
+    }
+
+    // ZIP and gzipped TAR archives are finished asynchronously
+    const archive = this.gzip ? gzipBlob(this.tape.save()) : this.tape.save();
+    if (archive instanceof Promise) {
+      archive.then(callback, error => {
+        console.error('Error saving archive:', error);
+        this.emit('error', 'Error saving archive');
+      });
+    } else {
+      callback(archive);
+    }
   }
 
   /**
@@ -97,9 +315,7 @@ export default class DCTarEncoder extends DCFrameEncoder {
    */
   dispose() {
     try {
-      // We need to dynamically import Tar since it might be a global
-      // or imported separately
-      this.tape = new Tar();
+      this.tape = this.createTape();
       this.count = 0;
     } catch (e) {
       console.error('Could not create Tar instance:', e);
@@ -107,3 +323,114 @@ export default class DCTarEncoder extends DCFrameEncoder {
     }
   }
 }
+
+/**
+ * Wraps a stream destination in the write() and close() interface Tar streams to
+ *
+ * The destination is only opened by the first write, so tapes that stay
+ * empty leave it untouched, and a function is only called for it then. Every
+ * call waits for the previous one, which keeps the records in order and lets
+ * a slow destination hold the frames back.
+ * @param {WritableStream|FileSystemFileHandle|Object|Function} destination - Where the archive goes, or a function returning it
+ * @returns {Object} Sink whose write(chunk) and close() return promises
+ */
+function createSink(destination) {
+  let writer = null;
+  let pending = Promise.resolve();
+
+  const open = () => {
+    if (!writer) {
+      writer = Promise.resolve(
+        typeof destination === 'function' ? destination() : destination
+      ).then(target => {
+        if (typeof target.createWritable === 'function') {
+          // File System Access and OPFS file handles
+          return target.createWritable().then(stream => stream.getWriter());
+        }
+        if (typeof target.getWriter === 'function') {
+          return target.getWriter();
+        }
+        return target;
+      });
+    }
+    return writer;
+  };
+
+  return {
+    write(chunk) {
+      pending = pending.then(open).then(target => target.write(chunk));
+      return pending;
+    },
+    close() {
+      pending = pending.then(open).then(target => target.close && target.close());
+      return pending;
+    },
+  };
+}
+
+/**
+ * Gzips everything written to a sink
+ * @param {Object} sink - Sink made by createSink
+ * @returns {Object} Sink whose write(chunk) and close() return promises
+ */
+function createGzipSink(sink) {
+  if (typeof CompressionStream === 'undefined') {
+    const deflate = new DCDeflate({ gzip: true });
+    return {
+      write: chunk => sink.write(deflate.push(chunk)),
+      close: () => sink.write(deflate.finish()).then(() => sink.close()),
+    };
+  }
+
+  const stream = new CompressionStream('gzip');
+  const writer = stream.writable.getWriter();
+  const piped = stream.readable.pipeTo(new WritableStream({ write: chunk => sink.write(chunk) }));
+  // A failing sink also fails the writes, close() reports the first error
+  piped.catch(() => {});
+  let pending = Promise.resolve();
+
+  return {
+    write(chunk) {
+      pending = pending.then(() => writer.write(chunk));
+      return pending;
+    },
+    close() {
+      pending = pending
+        .then(() => writer.close())
+        .then(() => piped)
+        .then(() => sink.close());
+      return pending;
+    },
+  };
+}
+
+/**
+ * Gzips a TAR archive
+ * @param {Blob} blob - Archive
+ * @returns {Promise<Blob>} Gzipped archive
+ */
+function gzipBlob(blob) {
+  if (typeof CompressionStream !== 'undefined') {
+    return new Response(blob.stream().pipeThrough(new CompressionStream('gzip')))
+      .blob()
+      .then(gzipped => new Blob([gzipped], { type: 'application/gzip' }));
+  }
+
+  // Large archives are read a piece at a time rather than copied whole
+  const deflate = new DCDeflate({ gzip: true });
+  const parts = [];
+  const read = offset => {
+    if (offset >= blob.size) {
+      parts.push(deflate.finish());
+      return Promise.resolve(new Blob(parts, { type: 'application/gzip' }));
+    }
+    return blob
+      .slice(offset, offset + GZIP_CHUNK_SIZE)
+      .arrayBuffer()
+      .then(buffer => {
+        parts.push(deflate.push(new Uint8Array(buffer)));
+        return read(offset + GZIP_CHUNK_SIZE);
+      });
+  };
+  return read(0);
+}
@@ -0,0 +1,655 @@
+/**
+ * Longest time to wait for a media element to finish seeking, in milliseconds
+ */
+const MEDIA_SEEK_TIMEOUT = 2000;
+
+/**
+ * First virtual timer id, far above the ids browsers hand out, so the two never get mixed up
+ */
+const VIRTUAL_ID_START = 0x40000000;
+
+/**
+ * Like browsers, timeouts nested deeper than this are delayed by at least 4ms,
+ * so a setTimeout(fn, 0) chain cannot keep the clock from moving on
+ */
+const MAX_TIMER_NESTING = 5;
+const NESTED_TIMER_DELAY = 4;
+
+/**
+ * Virtual clock used while capturing
+ *
+ * Takes over the page's time sources (Date, performance.now, timers,
+ * requestAnimationFrame, media playback and document animations) so that time
+ * only moves when the capturer steps it
+ */
+export default class DCVirtualClock {
+  constructor() {
+    this.installed = false;
+    this.originals = null;
+
+    this.startTime = 0;
+    this.performanceStartTime = 0;
+    this.elapsed = 0;
+
+    this.timers = [];
+    this.animationFrames = [];
+    this.nextId = VIRTUAL_ID_START;
+    this.timerNesting = 0;
+    this.animationFramesScheduled = false;
+
+    // Cancel functions of the callbacks handed over to the real timers, by virtual id
+    this.handedOff = new Map();
+
+    this.media = new Map();
+    this.animations = new Map();
+    this.ready = Promise.resolve();
+    this.pendingSteps = 0;
+  }
+
+  /**
+   * Returns the virtual wall-clock time, as reported by Date.now()
+   * @returns {number} Time in milliseconds
+   */
+  now() {
+    return this.startTime + this.elapsed;
+  }
+
+  /**
+   * Returns the virtual high resolution time, as reported by performance.now()
+   * @returns {number} Time in milliseconds
+   */
+  performanceNow() {
+    return this.performanceStartTime + this.elapsed;
+  }
+
+  /**
+   * Replaces the global time functions with their virtual counterparts
+   */
+  install() {
+    if (this.installed) {
+      return;
+    }
+
+    // While callbacks of the previous capture are still handed off, the clear functions are wrappers
+    const clear = this.handedOff.size ? this.originals : window;
+
+    this.originals = {
+      Date: window.Date,
+      performanceNow: window.performance.now,
+      setTimeout: window.setTimeout,
+      clearTimeout: clear.clearTimeout,
+      setInterval: window.setInterval,
+      clearInterval: clear.clearInterval,
+      requestAnimationFrame: window.requestAnimationFrame,
+      cancelAnimationFrame: clear.cancelAnimationFrame,
+      play: typeof HTMLMediaElement !== 'undefined' ? HTMLMediaElement.prototype.play : null,
+      animate:
+        typeof Element !== 'undefined' && Element.prototype.animate
+          ? Element.prototype.animate
+          : null,
+    };
+
+    this.startTime = window.Date.now();
+    this.performanceStartTime = window.performance.now();
+    this.elapsed = 0;
+    this.timers = [];
+    this.animationFrames = [];
+    this.timerNesting = 0;
+    this.media = new Map();
+    this.animations = new Map();
+    this.ready = Promise.resolve();
+    this.pendingSteps = 0;
+
+    const clock = this;
+    const RealDate = this.originals.Date;
+
+    // Dates created without arguments get the virtual time, everything else is left untouched
+    function VirtualDate(...args) {
+      if (!new.target) {
+        return new RealDate(clock.now()).toString();
+      }
+      return args.length ? new RealDate(...args) : new RealDate(clock.now());
+    }
+    VirtualDate.prototype = RealDate.prototype;
+    VirtualDate.now = () => clock.now();
+    VirtualDate.parse = RealDate.parse;
+    VirtualDate.UTC = RealDate.UTC;
+
+    window.Date = VirtualDate;
+    window.performance.now = () => clock.performanceNow();
+    window.setTimeout = (callback, delay, ...args) => this.addTimer(callback, delay, args, false);
+    window.setInterval = (callback, delay, ...args) => this.addTimer(callback, delay, args, true);
+    window.clearTimeout = id => this.cancelHandedOff(id) || this.removeTimer(id);
+    window.clearInterval = id => this.cancelHandedOff(id) || this.removeTimer(id);
+    window.requestAnimationFrame = callback => this.addAnimationFrame(callback);
+    window.cancelAnimationFrame = id => this.cancelHandedOff(id) || this.removeAnimationFrame(id);
+
+    // Media elements are kept paused and seeked to the virtual time instead of playing
+    if (this.originals.play) {
+      HTMLMediaElement.prototype.play = function () {
+        clock.trackMedia(this, true);
+        return Promise.resolve();
+      };
+    }
+    this.findMedia();
+
+    // CSS animations, transitions and element.animate() follow the virtual time as well
+    if (this.originals.animate) {
+      const animate = this.originals.animate;
+      Element.prototype.animate = function (...args) {
+        const animation = animate.apply(this, args);
+        clock.trackAnimation(animation);
+        return animation;
+      };
+    }
+    this.findAnimations();
+
+    this.installed = true;
+  }
+
+  /**
+   * Restores the original time functions
+   *
+   * Pending timers and animation frame callbacks are handed over to the real
+   * functions so that animation loops keep running after the capture. The
+   * page still holds their virtual ids, so the clear functions keep
+   * translating those until every handed over callback has run or been cancelled
+   */
+  uninstall() {
+    if (!this.installed) {
+      return;
+    }
+
+    const originals = this.originals;
+
+    window.Date = originals.Date;
+    window.performance.now = originals.performanceNow;
+    window.setTimeout = originals.setTimeout;
+    window.setInterval = originals.setInterval;
+    window.requestAnimationFrame = originals.requestAnimationFrame;
+    if (originals.play) {
+      HTMLMediaElement.prototype.play = originals.play;
+    }
+    if (originals.animate) {
+      Element.prototype.animate = originals.animate;
+    }
+
+    this.installed = false;
+
+    this.media.forEach((state, element) => {
+      if (state.wasPlaying) {
+        element.play().catch(error => console.warn('Could not resume media playback', error));
+      }
+    });
+    this.media.clear();
+
+    this.animations.forEach((state, animation) => {
+      if (animation.playState === 'paused') {
+        animation.play();
+      }
+    });
+    this.animations.clear();
+
+    this.timers.forEach(timer => this.handOverTimer(timer));
+    this.animationFrames.forEach(frame => this.handOverAnimationFrame(frame));
+
+    this.timers = [];
+    this.animationFrames = [];
+
+    if (this.handedOff.size) {
+      window.clearTimeout = id =>
+        this.cancelHandedOff(id) || originals.clearTimeout.call(window, id);
+      window.clearInterval = id =>
+        this.cancelHandedOff(id) || originals.clearInterval.call(window, id);
+      window.cancelAnimationFrame = id =>
+        this.cancelHandedOff(id) || originals.cancelAnimationFrame.call(window, id);
+    } else {
+      this.restoreClearFunctions();
+    }
+  }
+
+  /**
+   * Schedules a pending virtual timer on the real timer functions
+   *
+   * Intervals first wait for what is left of their current period
+   * @param {Object} timer - Virtual timer
+   * @private
+   */
+  handOverTimer(timer) {
+    const originals = this.originals;
+    const remaining = Math.max(0, timer.triggerTime - this.elapsed);
+    const run = () => {
+      if (typeof timer.callback === 'function') {
+        timer.callback(...timer.args);
+      }
+    };
+
+    if (timer.interval) {
+      const timeoutId = originals.setTimeout.call(
+        window,
+        () => {
+          const intervalId = originals.setInterval.call(window, run, timer.delay);
+          this.handedOff.set(timer.id, () => originals.clearInterval.call(window, intervalId));
+          run();
+        },
+        remaining
+      );
+      this.handedOff.set(timer.id, () => originals.clearTimeout.call(window, timeoutId));
+    } else {
+      const timeoutId = originals.setTimeout.call(
+        window,
+        () => {
+          this.releaseHandedOff(timer.id);
+          run();
+        },
+        remaining
+      );
+      this.handedOff.set(timer.id, () => originals.clearTimeout.call(window, timeoutId));
+    }
+  }
+
+  /**
+   * Schedules a pending animation frame callback on the real requestAnimationFrame
+   * @param {Object} frame - Queued animation frame callback
+   * @private
+   */
+  handOverAnimationFrame(frame) {
+    const originals = this.originals;
+    const requestId = originals.requestAnimationFrame.call(window, time => {
+      this.releaseHandedOff(frame.id);
+      frame.callback(time);
+    });
+    this.handedOff.set(frame.id, () => originals.cancelAnimationFrame.call(window, requestId));
+  }
+
+  /**
+   * Cancels a callback handed over to the real timers
+   * @param {number} id - Virtual id of the callback
+   * @returns {boolean} Whether the id belonged to a handed over callback
+   * @private
+   */
+  cancelHandedOff(id) {
+    const cancel = this.handedOff.get(id);
+    if (!cancel) {
+      return false;
+    }
+
+    cancel();
+    this.releaseHandedOff(id);
+    return true;
+  }
+
+  /**
+   * Forgets a handed over callback, once none is left the clear functions are restored
+   * @param {number} id - Virtual id of the callback
+   * @private
+   */
+  releaseHandedOff(id) {
+    this.handedOff.delete(id);
+
+    if (!this.installed && !this.handedOff.size) {
+      this.restoreClearFunctions();
+    }
+  }
+
+  /**
+   * Puts back the original clear functions
+   * @private
+   */
+  restoreClearFunctions() {
+    window.clearTimeout = this.originals.clearTimeout;
+    window.clearInterval = this.originals.clearInterval;
+    window.cancelAnimationFrame = this.originals.cancelAnimationFrame;
+  }
+
+  /**
+   * Registers a virtual timeout or interval
+   * @param {Function} callback - Function to call
+   * @param {number} delay - Delay in milliseconds
+   * @param {Array} args - Arguments for the callback
+   * @param {boolean} interval - Whether the timer repeats
+   * @returns {number} Timer id
+   * @private
+   */
+  addTimer(callback, delay, args, interval) {
+    const nesting = this.timerNesting + 1;
+
+    delay = Math.max(0, Number(delay) || 0);
+    if (interval) {
+      // Repeating with no delay would never let the clock move on
+      delay = Math.max(1, delay);
+    }
+    if (nesting > MAX_TIMER_NESTING) {
+      delay = Math.max(NESTED_TIMER_DELAY, delay);
+    }
+
+    const timer = {
+      id: this.nextId++,
+      callback,
+      args,
+      delay,
+      interval,
+      nesting,
+      triggerTime: this.elapsed + delay,
+    };
+    this.timers.push(timer);
+
+    return timer.id;
+  }
+
+  /**
+   * Cancels a virtual timeout or interval
+   * @param {number} id - Timer id
+   * @private
+   */
+  removeTimer(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  }
+
+  /**
+   * Queues a callback for the next virtual animation frame
+   * @param {Function} callback - Function to call
+   * @returns {number} Request id
+   * @private
+   */
+  addAnimationFrame(callback) {
+    const id = this.nextId++;
+    this.animationFrames.push({ id, callback });
+    return id;
+  }
+
+  /**
+   * Cancels a queued animation frame callback
+   * @param {number} id - Request id
+   * @private
+   */
+  removeAnimationFrame(id) {
+    this.animationFrames = this.animationFrames.filter(frame => frame.id !== id);
+  }
+
+  /**
+   * Starts controlling the playback of a media element
+   * @param {HTMLMediaElement} element - Video or audio element
+   * @param {boolean} wasPlaying - Whether playback should resume after the capture
+   * @private
+   */
+  trackMedia(element, wasPlaying) {
+    if (this.media.has(element)) {
+      this.media.get(element).wasPlaying = this.media.get(element).wasPlaying || wasPlaying;
+      return;
+    }
+
+    this.media.set(element, {
+      // Media time that corresponds to the start of the capture
+      offset: element.currentTime - this.elapsed / 1000,
+      wasPlaying,
+    });
+    element.pause();
+  }
+
+  /**
+   * Starts controlling every media element currently in the document
+   * @private
+   */
+  findMedia() {
+    if (typeof document === 'undefined' || !document.querySelectorAll) {
+      return;
+    }
+
+    document.querySelectorAll('video, audio').forEach(element => {
+      this.trackMedia(element, !element.paused);
+    });
+  }
+
+  /**
+   * Seeks every controlled media element to the given virtual time
+   * @param {number} elapsed - Time in milliseconds since install
+   * @returns {Promise} Resolves when all elements have finished seeking
+   * @private
+   */
+  syncMedia(elapsed) {
+    if (!this.installed) {
+      return Promise.resolve();
+    }
+
+    this.findMedia();
+
+    const seeks = [];
+    this.media.forEach((state, element) => {
+      let time = state.offset + elapsed / 1000;
+
+      if (isFinite(element.duration) && element.duration > 0) {
+        time = element.loop ? time % element.duration : Math.min(time, element.duration);
+      }
+
+      seeks.push(this.seekMedia(element, time));
+    });
+
+    return Promise.all(seeks);
+  }
+
+  /**
+   * Seeks a media element and waits until the new frame is available
+   * @param {HTMLMediaElement} element - Video or audio element
+   * @param {number} time - Media time in seconds
+   * @returns {Promise} Resolves when the seek has completed
+   * @private
+   */
+  seekMedia(element, time) {
+    if (element.readyState === 0 || Math.abs(element.currentTime - time) < 1e-6) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      let timeout = null;
+
+      const done = () => {
+        element.removeEventListener('seeked', onSeeked);
+        element.removeEventListener('error', done);
+        this.originals.clearTimeout.call(window, timeout);
+        resolve();
+      };
+
+      // requestVideoFrameCallback fires once the seeked frame is ready to be drawn,
+      // which can be later than the seeked event
+      const onSeeked = () => {
+        if (typeof element.requestVideoFrameCallback === 'function') {
+          element.requestVideoFrameCallback(done);
+        } else {
+          done();
+        }
+      };
+
+      element.addEventListener('seeked', onSeeked);
+      element.addEventListener('error', done);
+      timeout = this.originals.setTimeout.call(
+        window,
+        () => {
+          console.warn('Timed out seeking media element');
+          done();
+        },
+        MEDIA_SEEK_TIMEOUT
+      );
+
+      element.currentTime = time;
+    });
+  }
+
+  /**
+   * Starts controlling a document animation
+   *
+   * Animations the page paused, or that have finished, are left alone
+   * @param {Animation} animation - CSS animation, transition or Web Animation
+   * @private
+   */
+  trackAnimation(animation) {
+    if (this.animations.has(animation) || animation.playState !== 'running') {
+      return;
+    }
+
+    this.animations.set(animation, {
+      // Animation time and virtual time when the capture took the animation over
+      currentTime: animation.currentTime || 0,
+      elapsed: this.elapsed,
+    });
+    animation.pause();
+  }
+
+  /**
+   * Starts controlling every animation currently running in the document
+   * @private
+   */
+  findAnimations() {
+    if (typeof document === 'undefined' || typeof document.getAnimations !== 'function') {
+      return;
+    }
+
+    document.getAnimations().forEach(animation => this.trackAnimation(animation));
+  }
+
+  /**
+   * Sets every controlled animation to the given virtual time
+   * @param {number} elapsed - Time in milliseconds since install
+   * @private
+   */
+  syncAnimations(elapsed) {
+    if (!this.installed) {
+      return;
+    }
+
+    this.findAnimations();
+
+    this.animations.forEach((state, animation) => {
+      if (animation.playState === 'idle') {
+        this.animations.delete(animation);
+        return;
+      }
+      animation.currentTime =
+        state.currentTime + (elapsed - state.elapsed) * animation.playbackRate;
+    });
+  }
+
+  /**
+   * Moves the clock forward to the given time since install, firing every
+   * timer that falls due on the way at its exact trigger time
+   * @param {number} elapsed - Target time in milliseconds since install
+   */
+  advanceTo(elapsed) {
+    let timer;
+
+    while ((timer = this.nextDueTimer(elapsed))) {
+      this.elapsed = Math.max(this.elapsed, timer.triggerTime);
+
+      if (timer.interval) {
+        timer.triggerTime += timer.delay;
+      } else {
+        this.removeTimer(timer.id);
+      }
+
+      if (typeof timer.callback === 'function') {
+        // Timers created by this callback are nested one level deeper
+        this.timerNesting = timer.nesting;
+        try {
+          timer.callback(...timer.args);
+        } catch (error) {
+          console.error('Error in timer callback:', error);
+        }
+        this.timerNesting = 0;
+      }
+    }
+
+    this.elapsed = Math.max(this.elapsed, elapsed);
+  }
+
+  /**
+   * Returns the earliest timer due at or before the given time
+   * @param {number} elapsed - Time in milliseconds since install
+   * @returns {Object|null} Timer
+   * @private
+   */
+  nextDueTimer(elapsed) {
+    let next = null;
+
+    this.timers.forEach(timer => {
+      if (timer.triggerTime <= elapsed && (!next || timer.triggerTime < next.triggerTime)) {
+        next = timer;
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * Runs all queued animation frame callbacks with the current virtual time
+   */
+  runAnimationFrames() {
+    const frames = this.animationFrames;
+    const time = this.performanceNow();
+
+    this.animationFrames = [];
+    frames.forEach(frame => {
+      try {
+        frame.callback(time);
+      } catch (error) {
+        console.error('Error in animation frame callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Schedules the queued animation frame callbacks on the real requestAnimationFrame
+   */
+  scheduleAnimationFrames() {
+    if (!this.installed || this.animationFramesScheduled) {
+      return;
+    }
+
+    this.animationFramesScheduled = true;
+    this.originals.requestAnimationFrame.call(window, () => {
+      this.animationFramesScheduled = false;
+      this.runAnimationFrames();
+    });
+  }
+
+  /**
+   * Moves the clock to the given time and lets the page render the next frame
+   *
+   * Media elements are seeked first, so nothing is drawn until their frames
+   * for the new time are available. Without media, and with no earlier step
+   * still waiting for a seek, the clock has moved by the time step() returns.
+   * Document animations are set to the new time once timers have run
+   * @param {number} elapsed - Target time in milliseconds since install
+   * @returns {Promise} Resolves when the clock has moved
+   */
+  step(elapsed) {
+    if (this.installed) {
+      this.findMedia();
+    }
+
+    if (!this.media.size && !this.pendingSteps) {
+      this.moveTo(elapsed);
+      return this.ready;
+    }
+
+    this.pendingSteps++;
+    this.ready = this.ready
+      .then(() => this.syncMedia(elapsed))
+      .then(() => {
+        this.pendingSteps--;
+        this.moveTo(elapsed);
+      });
+
+    return this.ready;
+  }
+
+  /**
+   * Runs the timers up to the given time, then updates animations and schedules the next frame
+   * @param {number} elapsed - Target time in milliseconds since install
+   * @private
+   */
+  moveTo(elapsed) {
+    this.advanceTo(elapsed);
+    this.syncAnimations(elapsed);
+    this.scheduleAnimationFrames();
+  }
+}
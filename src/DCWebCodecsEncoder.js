@@ -0,0 +1,388 @@
+import DCFrameEncoder from './DCFrameEncoder.js';
+import DCWebMMuxer from './DCWebMMuxer.js';
+
+/**
+ * Matroska codec ids for the supported codecs
+ */
+const CODEC_IDS = {
+  vp8: 'V_VP8',
+  vp09: 'V_VP9',
+  av01: 'V_AV1',
+};
+
+/**
+ * Encoder that uses the WebCodecs VideoEncoder for WebM capture
+ *
+ * Unlike MediaRecorder, every captured canvas becomes exactly one frame with
+ * a timestamp derived from its frame index, so the output timing does not
+ * depend on how fast the page renders
+ */
+export default class DCWebCodecsEncoder extends DCFrameEncoder {
+  /**
+   * Creates a new WebCodecs encoder
+   * @param {Object} settings - Encoder settings
+   * @param {string} [settings.codec='vp9'] - Video codec (vp8, vp9, av1 or a full codec string)
+   * @param {number} [settings.bitrate] - Target bitrate in bits per second
+   * @param {number} [settings.keyframeInterval] - Frames between keyframes, two seconds by default
+   */
+  constructor(settings) {
+    super(settings);
+
+    this.extension = '.webm';
+    this.mimeType = 'video/webm';
+    this.quality = settings.quality / 100 || 0.8;
+    this.framerate = settings.framerate || 60;
+    this.codec = settings.codec || 'vp9';
+    this.bitrate = settings.bitrate || 0;
+    this.keyframeInterval = settings.keyframeInterval || this.framerate * 2;
+
+    // Check for WebCodecs support
+    this.supported = typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    if (!this.supported) {
+      console.error('WebCodecs API not supported in this browser');
+    }
+
+    this.videoEncoder = null;
+    this.configured = null;
+    this.muxer = null;
+    this.frameCount = 0;
+    this.blob = null;
+    this.finishPromise = null;
+  }
+
+  /**
+   * Starts the encoder
+   */
+  start() {
+    if (!this.supported) {
+      this.emit('error', 'WebCodecs not supported');
+      return;
+    }
+
+    super.start();
+
+    // The VideoEncoder is configured on the first frame, once the size is known
+    this.closeVideoEncoder();
+    this.configured = null;
+    this.muxer = null;
+    this.frameCount = 0;
+    this.blob = null;
+    this.finishPromise = null;
+    this.emit('start');
+  }
+
+  /**
+   * Picks the first supported codec and configures the VideoEncoder for it
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @returns {Promise} Resolves once the VideoEncoder is configured
+   * @private
+   */
+  configure(width, height) {
+    const candidates = this.getCodecStrings(width, height);
+
+    const findSupported = index => {
+      if (index >= candidates.length) {
+        return Promise.reject(new Error(`Codec not supported: ${candidates.join(', ')}`));
+      }
+
+      const config = this.getEncoderConfig(candidates[index], width, height);
+      return VideoEncoder.isConfigSupported(config).then(support =>
+        support.supported ? config : findSupported(index + 1)
+      );
+    };
+
+    return findSupported(0).then(config => {
+      this.muxer = this.createMuxer(config);
+
+      this.videoEncoder = new VideoEncoder({
+        output: (chunk, metadata) => this.output(chunk, metadata),
+        error: error => {
+          console.error('Error encoding video:', error);
+          this.emit('error', 'Error encoding video');
+          this.dequeued();
+        },
+      });
+      this.videoEncoder.ondequeue = () => this.dequeued();
+      this.videoEncoder.configure(config);
+    });
+  }
+
+  /**
+   * Returns the codec strings to try, in order of preference
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @returns {string[]} Codec strings
+   * @protected
+   */
+  getCodecStrings(width, height) {
+    // Level 4.0 covers 1080p, anything larger uses level 5.1
+    const large = width * height > 1920 * 1080;
+
+    switch (this.codec) {
+      case 'vp8':
+        return ['vp8'];
+      case 'vp9':
+        return [large ? 'vp09.00.51.08' : 'vp09.00.40.08'];
+      case 'av1':
+        return [large ? 'av01.0.13M.08' : 'av01.0.08M.08'];
+      default:
+        return [this.codec];
+    }
+  }
+
+  /**
+   * Returns the VideoEncoder configuration for a codec
+   * @param {string} codec - Codec string
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @returns {Object} VideoEncoder configuration
+   * @protected
+   */
+  getEncoderConfig(codec, width, height) {
+    return {
+      codec,
+      width,
+      height,
+      framerate: this.framerate,
+      bitrate: this.bitrate || Math.round(width * height * this.framerate * 0.2 * this.quality),
+      latencyMode: 'quality',
+    };
+  }
+
+  /**
+   * Creates the muxer for the configured codec
+   * @param {Object} config - VideoEncoder configuration
+   * @returns {DCWebMMuxer} Muxer
+   * @protected
+   */
+  createMuxer(config) {
+    const codecId = CODEC_IDS[config.codec.split('.')[0]];
+    if (!codecId) {
+      throw new Error(`Unsupported codec: ${config.codec}`);
+    }
+
+    return new DCWebMMuxer({
+      codecId,
+      width: config.width,
+      height: config.height,
+      frameDuration: 1000 / this.framerate,
+      codecPrivate: codecId === 'V_AV1' ? createAV1CodecPrivate(config.codec) : null,
+    });
+  }
+
+  /**
+   * Adds a canvas frame to the video
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to capture
+   * @returns {Promise} Resolves once the frame has been queued in the VideoEncoder
+   */
+  add(canvas) {
+    if (!this.supported || this.state !== 'recording') {
+      return;
+    }
+
+    try {
+      if (!this.configured) {
+        this.configured = this.configure(canvas.width, canvas.height).catch(error => {
+          console.error('Error configuring video encoder:', error);
+          this.emit('error', 'Error configuring video encoder');
+        });
+      }
+
+      // The frame is taken from the canvas now, encoding waits for the configuration
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round((this.frameCount * 1e6) / this.framerate),
+        duration: Math.round(1e6 / this.framerate),
+      });
+      const keyFrame = this.frameCount % this.keyframeInterval === 0;
+
+      this.frameCount++;
+      this.step();
+
+      // From here on the frame counts in the VideoEncoder's own queue
+      const work = this.configured
+        .then(() => {
+          if (this.videoEncoder) {
+            this.videoEncoder.encode(frame, { keyFrame });
+          }
+        })
+        .catch(error => {
+          console.error('Error encoding frame:', error);
+          this.emit('error', 'Error encoding frame');
+        })
+        .then(() => frame.close());
+
+      return this.track(work);
+    } catch (error) {
+      console.error('Error adding frame:', error);
+      this.emit('error', 'Error adding frame');
+    }
+  }
+
+  /**
+   * Checks whether another frame can be added without exceeding maxPendingFrames
+   *
+   * Frames waiting for the configuration count as well as the frames queued in
+   * the VideoEncoder, which may not output exactly one chunk per frame
+   * @returns {boolean} True if the encoder has room for a frame
+   */
+  canAccept() {
+    const queued = this.videoEncoder ? this.videoEncoder.encodeQueueSize : 0;
+    return this.pendingFrames + queued < this.maxPendingFrames;
+  }
+
+  /**
+   * Lets the next waiting frame in once the VideoEncoder has room for it
+   * @private
+   */
+  dequeued() {
+    if (this.frameWaiters.length > 0 && this.canAccept()) {
+      this.frameWaiters.shift()();
+    }
+  }
+
+  /**
+   * Passes an encoded chunk to the muxer
+   * @param {EncodedVideoChunk} chunk - Encoded frame
+   * @param {Object} [metadata] - Chunk metadata
+   * @private
+   */
+  output(chunk, metadata) {
+    const decoderConfig = metadata && metadata.decoderConfig;
+    if (decoderConfig && decoderConfig.description) {
+      const description = decoderConfig.description;
+      this.muxer.codecPrivate = ArrayBuffer.isView(description)
+        ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength).slice()
+        : new Uint8Array(description).slice();
+    }
+
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    this.muxer.addFrame(data, chunk.timestamp, chunk.type === 'key');
+
+    // Browsers without the dequeue event still free room with every chunk
+    this.dequeued();
+  }
+
+  /**
+   * Flushes the VideoEncoder and writes the file
+   * @returns {Promise} Resolves once the file is written
+   * @private
+   */
+  finish() {
+    if (!this.finishPromise) {
+      const flushed = Promise.resolve(this.configured).then(
+        () => this.videoEncoder && this.videoEncoder.flush()
+      );
+
+      this.finishPromise = flushed
+        .catch(error => {
+          console.error('Error flushing video encoder:', error);
+          this.emit('error', 'Error flushing video encoder');
+        })
+        .then(() => {
+          this.closeVideoEncoder();
+          this.dequeued();
+          try {
+            this.blob = this.muxer ? this.muxer.finalize() : null;
+          } catch (error) {
+            // No chunk came out, after an encode or configure error
+            console.error('Error writing video file:', error);
+            this.emit('error', 'Error writing video file');
+            this.blob = null;
+          }
+        });
+    }
+
+    return this.finishPromise;
+  }
+
+  /**
+   * Stops the encoder
+   * @returns {Promise} Resolves once all frames are encoded
+   */
+  stop() {
+    if (!this.supported) {
+      return;
+    }
+
+    super.stop();
+
+    return this.finish().then(() => this.emit('stop'));
+  }
+
+  /**
+   * Saves the recording as a WebM file
+   * @param {Function} callback - Callback receiving the blob, or null if nothing was recorded
+   */
+  save(callback) {
+    if (!this.supported) {
+      this.emit('error', 'No recording available');
+      if (callback) {
+        callback(null);
+      }
+      return;
+    }
+
+    this.finish().then(() => {
+      if (this.blob) {
+        this.emit('finished', this.blob);
+      } else {
+        this.emit('error', 'No data recorded');
+      }
+
+      if (callback) {
+        callback(this.blob);
+      }
+    });
+  }
+
+  /**
+   * Closes the VideoEncoder if it is still open
+   * @private
+   */
+  closeVideoEncoder() {
+    if (this.videoEncoder && this.videoEncoder.state !== 'closed') {
+      this.videoEncoder.close();
+    }
+    this.videoEncoder = null;
+  }
+
+  /**
+   * Disposes resources
+   */
+  dispose() {
+    this.closeVideoEncoder();
+
+    // Nothing may keep waiting for an encoder that is gone
+    const waiters = this.frameWaiters;
+    this.frameWaiters = [];
+    waiters.forEach(resolve => resolve());
+
+    this.configured = null;
+    this.muxer = null;
+    this.blob = null;
+    this.finishPromise = null;
+  }
+}
+
+/**
+ * Builds the AV1 CodecPrivate (av1C box payload) from an AV1 codec string
+ * @param {string} codec - Codec string such as av01.0.08M.08
+ * @returns {Uint8Array} CodecPrivate without configuration OBUs
+ */
+function createAV1CodecPrivate(codec) {
+  const parts = codec.split('.');
+  const profile = parseInt(parts[1], 10) || 0;
+  const level = parseInt(parts[2], 10) || 0;
+  const tier = parts[2] && parts[2].slice(-1) === 'H' ? 1 : 0;
+  const highBitdepth = parseInt(parts[3], 10) > 8 ? 1 : 0;
+
+  return new Uint8Array([
+    0x81, // marker, version 1
+    (profile << 5) | level,
+    // tier, high bitdepth, 4:2:0 subsampling
+    (tier << 7) | (highBitdepth << 6) | 0x0c,
+    0x00,
+  ]);
+}
@@ -0,0 +1,276 @@
+/**
+ * Longest time a cluster may cover, limited by the 16-bit relative block timecode
+ */
+const MAX_CLUSTER_DURATION = 32767;
+
+/**
+ * Muxes encoded video chunks into a WebM file
+ *
+ * Keeps the encoded frames in memory and writes the complete file, with
+ * SeekHead, Duration and Cues, once all frames have been added.
+ * Times are written in milliseconds.
+ */
+export default class DCWebMMuxer {
+  /**
+   * Creates a new WebM muxer
+   * @param {Object} options - Muxer options
+   * @param {string} options.codecId - Matroska codec id (V_VP8, V_VP9, V_AV1)
+   * @param {number} options.width - Frame width
+   * @param {number} options.height - Frame height
+   * @param {number} options.frameDuration - Duration of a frame in milliseconds
+   * @param {Uint8Array} [options.codecPrivate] - Codec initialization data
+   */
+  constructor(options) {
+    this.codecId = options.codecId;
+    this.width = options.width;
+    this.height = options.height;
+    this.frameDuration = options.frameDuration;
+    this.codecPrivate = options.codecPrivate || null;
+
+    this.clusters = [];
+    this.duration = 0;
+  }
+
+  /**
+   * Adds an encoded frame
+   * @param {Uint8Array} data - Encoded frame
+   * @param {number} timestamp - Presentation time in microseconds
+   * @param {boolean} keyframe - Whether the frame can be decoded on its own
+   */
+  addFrame(data, timestamp, keyframe) {
+    const time = Math.round(timestamp / 1000);
+    let cluster = this.clusters[this.clusters.length - 1];
+
+    // Clusters start at keyframes so that every cue points to a decodable frame
+    if (!cluster || keyframe || time - cluster.timecode > MAX_CLUSTER_DURATION) {
+      cluster = { timecode: time, keyframe, blocks: [] };
+      this.clusters.push(cluster);
+    }
+
+    const relative = time - cluster.timecode;
+    const header = new Uint8Array([
+      0x81, // Track number 1
+      (relative >> 8) & 0xff,
+      relative & 0xff,
+      keyframe ? 0x80 : 0x00,
+    ]);
+    cluster.blocks.push(element(0xa3, [header, data])); // SimpleBlock
+
+    this.duration = Math.max(this.duration, timestamp / 1000 + this.frameDuration);
+  }
+
+  /**
+   * Writes the complete file
+   * @returns {Blob} WebM video
+   */
+  finalize() {
+    const header = masterElement(0x1a45dfa3, [
+      uintElement(0x4286, 1), // EBMLVersion
+      uintElement(0x42f7, 1), // EBMLReadVersion
+      uintElement(0x42f2, 4), // EBMLMaxIDLength
+      uintElement(0x42f3, 8), // EBMLMaxSizeLength
+      stringElement(0x4282, 'webm'), // DocType
+      uintElement(0x4287, 2), // DocTypeVersion
+      uintElement(0x4285, 2), // DocTypeReadVersion
+    ]);
+
+    const info = masterElement(0x1549a966, [
+      uintElement(0x2ad7b1, 1e6), // TimecodeScale: milliseconds
+      stringElement(0x4d80, 'DCapture'), // MuxingApp
+      stringElement(0x5741, 'DCapture'), // WritingApp
+      floatElement(0x4489, this.duration), // Duration
+    ]);
+
+    const trackEntry = [
+      uintElement(0xd7, 1), // TrackNumber
+      uintElement(0x73c5, 1), // TrackUID
+      uintElement(0x9c, 0), // FlagLacing
+      stringElement(0x86, this.codecId), // CodecID
+    ];
+    if (this.codecPrivate) {
+      trackEntry.push(element(0x63a2, [this.codecPrivate])); // CodecPrivate
+    }
+    trackEntry.push(
+      uintElement(0x83, 1), // TrackType: video
+      uintElement(0x23e383, Math.round(this.frameDuration * 1e6)), // DefaultDuration
+      masterElement(0xe0, [
+        uintElement(0xb0, this.width), // PixelWidth
+        uintElement(0xba, this.height), // PixelHeight
+      ])
+    );
+    const tracks = masterElement(0x1654ae6b, [masterElement(0xae, trackEntry)]);
+
+    const clusters = this.clusters.map(cluster =>
+      masterElement(0x1f43b675, [uintElement(0xe7, cluster.timecode)].concat(cluster.blocks))
+    );
+
+    // Positions are relative to the start of the Segment payload. The SeekHead
+    // uses fixed size positions, so its size is known before the positions are.
+    const seekHeadSize = byteLength(createSeekHead(0, 0, 0));
+    const infoPosition = seekHeadSize;
+    const tracksPosition = infoPosition + byteLength(info);
+
+    let position = tracksPosition + byteLength(tracks);
+    const cuePoints = [];
+    this.clusters.forEach((cluster, i) => {
+      if (cluster.keyframe) {
+        cuePoints.push(
+          masterElement(0xbb, [
+            uintElement(0xb3, cluster.timecode), // CueTime
+            masterElement(0xb7, [
+              uintElement(0xf7, 1), // CueTrack
+              uintElement(0xf1, position), // CueClusterPosition
+            ]),
+          ])
+        );
+      }
+      position += byteLength(clusters[i]);
+    });
+    const cues = masterElement(0x1c53bb6b, cuePoints);
+    const cuesPosition = position;
+
+    const seekHead = createSeekHead(infoPosition, tracksPosition, cuesPosition);
+    const segment = masterElement(0x18538067, [seekHead, info, tracks].concat(clusters, [cues]));
+
+    return new Blob(header.concat(segment), { type: 'video/webm' });
+  }
+}
+
+/**
+ * Creates a SeekHead pointing at the Info, Tracks and Cues elements
+ * @param {number} infoPosition - Position of Info
+ * @param {number} tracksPosition - Position of Tracks
+ * @param {number} cuesPosition - Position of Cues
+ * @returns {Uint8Array[]} Encoded element
+ */
+function createSeekHead(infoPosition, tracksPosition, cuesPosition) {
+  const seek = (id, position) =>
+    masterElement(0x4dbb, [
+      element(0x53ab, [idBytes(id)]), // SeekID
+      element(0x53ac, [uintBytes(position, 8)]), // SeekPosition
+    ]);
+
+  return masterElement(0x114d9b74, [
+    seek(0x1549a966, infoPosition),
+    seek(0x1654ae6b, tracksPosition),
+    seek(0x1c53bb6b, cuesPosition),
+  ]);
+}
+
+/**
+ * Returns the total length of a list of byte arrays
+ * @param {Uint8Array[]} parts - Byte arrays
+ * @returns {number} Length in bytes
+ */
+function byteLength(parts) {
+  return parts.reduce((length, part) => length + part.byteLength, 0);
+}
+
+/**
+ * Encodes an element id, which already carries its length marker
+ * @param {number} id - Element id
+ * @returns {Uint8Array} Encoded id
+ */
+function idBytes(id) {
+  const bytes = [];
+  while (id > 0) {
+    bytes.unshift(id & 0xff);
+    id = Math.floor(id / 256);
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Encodes an unsigned integer as big-endian bytes
+ * @param {number} value - Value to encode
+ * @param {number} [width] - Number of bytes, as few as possible by default
+ * @returns {Uint8Array} Encoded value
+ */
+function uintBytes(value, width) {
+  if (!width) {
+    width = 1;
+    while (value >= Math.pow(2, 8 * width)) {
+      width++;
+    }
+  }
+
+  const bytes = new Uint8Array(width);
+  for (let i = width - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  return bytes;
+}
+
+/**
+ * Encodes an element size as an EBML variable length integer
+ * @param {number} size - Size in bytes
+ * @returns {Uint8Array} Encoded size
+ */
+function sizeBytes(size) {
+  let width = 1;
+  // All ones is reserved for unknown sizes
+  while (size >= Math.pow(2, 7 * width) - 1) {
+    width++;
+  }
+
+  const bytes = uintBytes(size, width);
+  bytes[0] |= 1 << (8 - width);
+  return bytes;
+}
+
+/**
+ * Encodes an element with the given payload
+ * @param {number} id - Element id
+ * @param {Uint8Array[]} parts - Payload
+ * @returns {Uint8Array[]} Encoded element
+ */
+function element(id, parts) {
+  return [idBytes(id), sizeBytes(byteLength(parts))].concat(parts);
+}
+
+/**
+ * Encodes a master element
+ * @param {number} id - Element id
+ * @param {Array<Uint8Array[]>} children - Encoded child elements
+ * @returns {Uint8Array[]} Encoded element
+ */
+function masterElement(id, children) {
+  return element(id, [].concat(...children));
+}
+
+/**
+ * Encodes an unsigned integer element
+ * @param {number} id - Element id
+ * @param {number} value - Value
+ * @returns {Uint8Array[]} Encoded element
+ */
+function uintElement(id, value) {
+  return element(id, [uintBytes(value)]);
+}
+
+/**
+ * Encodes a 64-bit float element
+ * @param {number} id - Element id
+ * @param {number} value - Value
+ * @returns {Uint8Array[]} Encoded element
+ */
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, [bytes]);
+}
+
+/**
+ * Encodes an ASCII string element
+ * @param {number} id - Element id
+ * @param {string} value - Value
+ * @returns {Uint8Array[]} Encoded element
+ */
+function stringElement(id, value) {
+  const bytes = new Uint8Array(value.length);
+  for (let i = 0; i < value.length; i++) {
+    bytes[i] = value.charCodeAt(i);
+  }
+  return element(id, [bytes]);
+}
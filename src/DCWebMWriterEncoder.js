@@ -0,0 +1,142 @@
+import DCFrameEncoder from './DCFrameEncoder.js';
+
+/**
+ * Encoder for creating WebM videos using WebM Writer
+ *
+ * Frames are written into clusters as they arrive, so only the current
+ * cluster is kept as WebP data. With a fileWriter or fd the video is streamed
+ * to that destination instead of being held in memory.
+ */
+export default class DCWebMWriterEncoder extends DCFrameEncoder {
+  /**
+   * Creates a new WebM Writer encoder
+   * @param {Object} settings - Encoder settings
+   * @param {FileWriter} [settings.fileWriter] - Chrome FileWriter to stream the video to
+   * @param {number} [settings.fd] - Node.js file descriptor to stream the video to
+   */
+  constructor(settings) {
+    super(settings);
+
+    this.extension = '.webm';
+    this.mimeType = 'video/webm';
+    this.quality = settings.quality / 100 || 0.95;
+    this.fileWriter = settings.fileWriter || null;
+    this.fd = settings.fd !== undefined ? settings.fd : null;
+
+    // Check for WebMWriter global
+    if (typeof WebMWriter === 'undefined') {
+      console.error('WebMWriter is not loaded');
+      throw new Error('WebMWriter is not loaded');
+    }
+
+    this.writer = null;
+    this.frameCount = 0;
+    this.completePromise = null;
+  }
+
+  /**
+   * Starts the encoder
+   */
+  start() {
+    try {
+      this.writer = new WebMWriter({
+        quality: this.quality,
+        frameRate: this.settings.framerate || 60,
+        fileWriter: this.fileWriter,
+        fd: this.fd,
+      });
+      this.frameCount = 0;
+      this.completePromise = null;
+    } catch (error) {
+      console.error('Error starting WebM Writer encoder:', error);
+      this.emit('error', 'Error starting WebM Writer encoder');
+    }
+  }
+
+  /**
+   * Adds a canvas frame to the video
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to capture
+   * @returns {Promise|undefined} Resolves once the data written so far has reached the file
+   */
+  add(canvas) {
+    if (!this.writer || this.completePromise) {
+      return;
+    }
+
+    try {
+      this.writer.addFrame(canvas);
+      this.frameCount++;
+      this.step();
+    } catch (error) {
+      console.error('Error adding frame to WebM:', error);
+      this.emit('error', 'Error adding frame to WebM');
+      return Promise.resolve();
+    }
+
+    // A slow file holds back new frames, a failed write is reported when the video completes
+    return this.track(this.writer.flushed().catch(() => {}));
+  }
+
+  /**
+   * Writes the last cluster, the Cues, the SeekHead and the Duration
+   * @returns {Promise} Resolves with the video, or null when streaming to a file
+   * @private
+   */
+  complete() {
+    if (!this.completePromise) {
+      this.completePromise = this.writer.complete().catch(error => {
+        console.error('Error completing WebM:', error);
+        this.emit('error', 'Error completing WebM');
+        return null;
+      });
+    }
+
+    return this.completePromise;
+  }
+
+  /**
+   * Stops the encoder
+   * @returns {Promise} Resolves once the video is written
+   */
+  stop() {
+    if (!this.writer) {
+      return;
+    }
+
+    return this.complete().then(() => this.emit('stop'));
+  }
+
+  /**
+   * Saves the WebM video
+   *
+   * When streaming to a fileWriter or fd the video is already in place and
+   * the callback receives null
+   * @param {Function} callback - Callback receiving the blob
+   */
+  save(callback) {
+    if (!this.writer) {
+      console.error('No encoder available');
+      this.emit('error', 'No encoder available');
+      return;
+    }
+
+    this.complete().then(blob => {
+      this.emit('finished', blob);
+
+      if (callback) {
+        callback(blob);
+      }
+    });
+  }
+
+  /**
+   * Disposes resources
+   */
+  dispose() {
+    super.dispose();
+
+    this.writer = null;
+    this.frameCount = 0;
+    this.completePromise = null;
+  }
+}
@@ -0,0 +1,291 @@
+import DCFrameEncoder from './DCFrameEncoder.js';
+
+/**
+ * Encoder for creating animated WebP images
+ *
+ * Every frame is encoded by canvas.toBlob as a WebP and taken apart with the
+ * Whammy RIFF parser. Its VP8 (and ALPH) or VP8L chunks become one ANMF frame.
+ */
+export default class DCWebPEncoder extends DCFrameEncoder {
+  /**
+   * Creates a new animated WebP encoder
+   * @param {Object} settings - Encoder settings
+   * @param {number} [settings.loopCount=0] - Times the animation plays, 0 loops forever
+   */
+  constructor(settings) {
+    super(settings);
+
+    this.extension = '.webp';
+    this.mimeType = 'image/webp';
+    this.quality = settings.quality / 100 || 0.95;
+    this.framerate = settings.framerate || 60;
+    this.loopCount = settings.loopCount || 0;
+
+    // The RIFF parser comes from Whammy
+    if (typeof Whammy === 'undefined') {
+      console.error('Whammy is not loaded');
+      throw new Error('Whammy is not loaded');
+    }
+
+    this.frames = [];
+    this.width = 0;
+    this.height = 0;
+    this.savedBlob = null;
+    this.encoded = Promise.resolve();
+  }
+
+  /**
+   * Starts the encoder
+   */
+  start() {
+    super.start();
+
+    this.frames = [];
+    this.width = 0;
+    this.height = 0;
+    this.savedBlob = null;
+    this.encoded = Promise.resolve();
+  }
+
+  /**
+   * Adds a canvas frame to the animation
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to capture
+   * @returns {Promise} Resolves once the frame has been encoded
+   */
+  add(canvas) {
+    if (!this.width) {
+      this.width = canvas.width;
+      this.height = canvas.height;
+    } else if (canvas.width !== this.width || canvas.height !== this.height) {
+      console.error('Frame size differs from previous frames');
+      this.emit('error', 'Frame size differs from previous frames');
+      return Promise.resolve();
+    }
+
+    // Frames are encoded in parallel but must stay in capture order
+    const index = this.frames.length;
+    this.frames.push(null);
+    this.savedBlob = null;
+    this.step();
+
+    const work = this.track(
+      new Promise(resolve => {
+        try {
+          canvas.toBlob(
+            blob => {
+              if (!blob) {
+                console.error('Failed to create blob from canvas');
+                this.emit('error', 'Failed to create blob from canvas');
+                resolve();
+                return;
+              }
+
+              blob.arrayBuffer().then(
+                buffer => {
+                  this.addWebP(index, toBinaryString(new Uint8Array(buffer)));
+                  resolve();
+                },
+                error => {
+                  console.error('Error reading WebP frame:', error);
+                  this.emit('error', 'Error reading WebP frame');
+                  resolve();
+                }
+              );
+            },
+            'image/webp',
+            this.quality
+          );
+        } catch (error) {
+          console.error('Error capturing canvas as WebP:', error);
+          this.emit('error', 'Error capturing canvas as WebP');
+          resolve();
+        }
+      })
+    );
+
+    this.encoded = Promise.all([this.encoded, work]);
+    return work;
+  }
+
+  /**
+   * Extracts the image chunks of an encoded WebP
+   * @param {number} index - Frame index
+   * @param {string} webp - WebP file as a binary string
+   * @private
+   */
+  addWebP(index, webp) {
+    try {
+      const riff = Whammy.parseRIFF(webp).RIFF[0];
+
+      if (riff.VP8L) {
+        // Lossless frames carry their own alpha
+        this.frames[index] = { alpha: true, chunks: [riffChunk('VP8L', riff.VP8L[0])] };
+        return;
+      }
+
+      // The VP8 chunk data still starts with its size
+      const vp8 = Whammy.parseWebP({ RIFF: [riff] }).data.slice(4);
+      const chunks = [];
+      if (riff.ALPH) {
+        chunks.push(riffChunk('ALPH', riff.ALPH[0]));
+      }
+      chunks.push(riffChunk('VP8 ', vp8));
+
+      this.frames[index] = { alpha: !!riff.ALPH, chunks };
+    } catch (error) {
+      console.error('Invalid WebP frame:', error);
+      this.emit('error', 'Invalid WebP frame');
+    }
+  }
+
+  /**
+   * Assembles the animated WebP from the encoded frames
+   * @returns {Blob} Animated WebP
+   * @private
+   */
+  assemble() {
+    const frames = this.frames.filter(frame => frame);
+    const alpha = frames.some(frame => frame.alpha);
+
+    const vp8x =
+      String.fromCharCode(alpha ? 0x12 : 0x02) + // Flags: alpha, animation
+      '\0\0\0' +
+      uint24(this.width - 1) +
+      uint24(this.height - 1);
+
+    const anim =
+      '\0\0\0\0' + // Background color: transparent
+      String.fromCharCode(this.loopCount & 0xff, (this.loopCount >> 8) & 0xff);
+
+    // Frames are converted to bytes one by one, the whole file never becomes one string
+    const chunks = [toBytes(riffChunk('VP8X', vp8x)), toBytes(riffChunk('ANIM', anim))];
+
+    frames.forEach((frame, i) => {
+      // Rounding the frame start times keeps the total duration exact
+      const start = Math.round((i * 1000) / this.framerate);
+      const end = Math.round(((i + 1) * 1000) / this.framerate);
+
+      const anmf =
+        uint24(0) + // X offset / 2
+        uint24(0) + // Y offset / 2
+        uint24(this.width - 1) +
+        uint24(this.height - 1) +
+        uint24(end - start) + // Duration in milliseconds
+        // Do not blend, so transparent pixels replace the previous frame
+        String.fromCharCode(0x02) +
+        frame.chunks.join('');
+
+      chunks.push(toBytes(riffChunk('ANMF', anmf)));
+    });
+
+    const size = chunks.reduce((total, chunk) => total + chunk.length, 4);
+    const header = toBytes('RIFF' + uint32(size) + 'WEBP');
+
+    return new Blob([header].concat(chunks), { type: this.mimeType });
+  }
+
+  /**
+   * Stops the encoder
+   * @returns {Promise} Resolves once every frame has been encoded
+   */
+  stop() {
+    super.stop();
+
+    return this.encoded;
+  }
+
+  /**
+   * Saves the animation once every frame has been encoded
+   * @param {Function} callback - Callback receiving the blob
+   */
+  save(callback) {
+    this.encoded.then(() => {
+      if (!this.savedBlob) {
+        if (!this.frames.some(frame => frame)) {
+          console.error('No frames captured');
+          this.emit('error', 'No frames captured');
+          return;
+        }
+
+        try {
+          this.savedBlob = this.assemble();
+        } catch (error) {
+          console.error('Error creating WebP:', error);
+          this.emit('error', 'Error creating WebP');
+          return;
+        }
+      }
+
+      this.emit('finished', this.savedBlob);
+      if (callback) {
+        callback(this.savedBlob);
+      }
+    });
+  }
+
+  /**
+   * Disposes resources
+   */
+  dispose() {
+    this.frames = [];
+    this.width = 0;
+    this.height = 0;
+    this.savedBlob = null;
+    this.encoded = Promise.resolve();
+  }
+}
+
+/**
+ * Encodes a 24-bit little-endian integer as a binary string
+ * @param {number} value - Value
+ * @returns {string} Three bytes
+ */
+function uint24(value) {
+  return String.fromCharCode(value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff);
+}
+
+/**
+ * Encodes a 32-bit little-endian integer as a binary string
+ * @param {number} value - Value
+ * @returns {string} Four bytes
+ */
+function uint32(value) {
+  return uint24(value) + String.fromCharCode((value >>> 24) & 0xff);
+}
+
+/**
+ * Converts a binary string to bytes
+ * @param {string} str - Binary string
+ * @returns {Uint8Array} Bytes
+ */
+function toBytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) {
+    bytes[i] = str.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Converts bytes to a binary string
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Binary string
+ */
+function toBinaryString(bytes) {
+  let str = '';
+  // In slices, spreading a whole frame into fromCharCode could overflow the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    str += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return str;
+}
+
+/**
+ * Encodes a RIFF chunk as a binary string, padded to an even size
+ * @param {string} id - Four character chunk id
+ * @param {string} data - Chunk data as a binary string
+ * @returns {string} Encoded chunk
+ */
+function riffChunk(id, data) {
+  return id + uint32(data.length) + data + (data.length & 1 ? '\0' : '');
+}
@@ -1,12 +1,33 @@
 import DCFrameEncoder from './DCFrameEncoder.js';
 
+let webPSupport = null;
+
+/**
+ * Checks once whether the browser can encode canvases as WebP
+ * @returns {boolean} True if canvases encode as WebP
+ */
+function supportsWebP() {
+  if (webPSupport === null) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    webPSupport = canvas.toDataURL('image/webp').indexOf('data:image/webp') === 0;
+  }
+  return webPSupport;
+}
+
 /**
  * Encoder for creating WebM videos using Whammy
+ *
+ * Frames are encoded as WebP as they arrive and count as pending until then.
+ * With alpha, or where the browser cannot encode WebP, Whammy keeps the pixels
+ * and encodes them when saving.
  */
 export default class DCWhammyEncoder extends DCFrameEncoder {
   /**
    * Creates a new WebM encoder
    * @param {Object} settings - Encoder settings
+   * @param {boolean} [settings.alpha=false] - Keep the alpha channel (needs WebCodecs)
    */
   constructor(settings) {
     super(settings);
@@ -14,6 +35,7 @@ export default class DCWhammyEncoder extends DCFrameEncoder {
     this.extension = '.webm';
     this.mimeType = 'video/webm';
     this.quality = settings.quality / 100 || 0.95;
+    this.alpha = !!settings.alpha;
 
     // Check for Whammy global
     if (typeof Whammy === 'undefined') {
@@ -23,6 +45,8 @@ export default class DCWhammyEncoder extends DCFrameEncoder {
 
     this.encoder = null;
     this.frameCount = 0;
+    this.compilePromise = null;
+    this.added = Promise.resolve();
   }
 
   /**
@@ -35,8 +59,10 @@ export default class DCWhammyEncoder extends DCFrameEncoder {
         framerate: this.settings.framerate || 60,
       };
 
-      this.encoder = new Whammy.Video(options.framerate, options.quality);
+      this.encoder = new Whammy.Video(options.framerate, options.quality, this.alpha);
       this.frameCount = 0;
+      this.compilePromise = null;
+      this.added = Promise.resolve();
     } catch (error) {
       console.error('Error starting WebM encoder:', error);
       this.emit('error', 'Error starting WebM encoder');
@@ -46,20 +72,72 @@ export default class DCWhammyEncoder extends DCFrameEncoder {
   /**
    * Adds a canvas frame to the video
    * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to capture
+   * @returns {Promise|undefined} Resolves once the frame has been encoded as WebP
    */
   add(canvas) {
     if (!this.encoder) {
       return;
     }
 
-    try {
-      this.encoder.add(canvas);
-      this.frameCount++;
-      this.step();
-    } catch (error) {
-      console.error('Error adding frame to WebM:', error);
-      this.emit('error', 'Error adding frame to WebM');
+    if (this.alpha || !canvas.toBlob || !supportsWebP()) {
+      try {
+        this.encoder.add(canvas);
+        this.frameCount++;
+
+        // A new frame makes any compiled video outdated
+        this.compilePromise = null;
+        this.step();
+      } catch (error) {
+        console.error('Error adding frame to WebM:', error);
+        this.emit('error', 'Error adding frame to WebM');
+      }
+      return Promise.resolve();
     }
+
+    this.frameCount++;
+    this.compilePromise = null;
+    this.step();
+
+    const encoder = this.encoder;
+    const work = this.track(
+      new Promise(resolve => {
+        try {
+          canvas.toBlob(
+            blob => {
+              if (!blob) {
+                console.error('Failed to create blob from canvas');
+                this.emit('error', 'Failed to create blob from canvas');
+                resolve(null);
+                return;
+              }
+
+              const fileReader = new FileReader();
+              fileReader.onload = () => resolve(fileReader.result);
+              fileReader.onerror = () => {
+                console.error('Error reading WebP frame:', fileReader.error);
+                this.emit('error', 'Error reading WebP frame');
+                resolve(null);
+              };
+              fileReader.readAsDataURL(blob);
+            },
+            'image/webp',
+            this.quality
+          );
+        } catch (error) {
+          console.error('Error adding frame to WebM:', error);
+          this.emit('error', 'Error adding frame to WebM');
+          resolve(null);
+        }
+      })
+    );
+
+    // Frames are encoded in parallel but must reach Whammy in capture order
+    this.added = Promise.all([this.added, work]).then(([, url]) => {
+      if (url) {
+        encoder.add(url);
+      }
+    });
+    return work;
   }
 
   /**
@@ -75,27 +153,42 @@ export default class DCWhammyEncoder extends DCFrameEncoder {
 
   /**
    * Saves the WebM video
-   * @param {Function} callback - Callback receiving the blob
+   *
+   * The frames are encoded as WebP in workers where possible, emitting
+   * progress after each frame
+   * @param {Function} [callback] - Callback receiving the blob
+   * @returns {Promise<Blob>} Resolves with the WebM video, or null if it could not be created
    */
   save(callback) {
     if (!this.encoder) {
       console.error('No encoder available');
       this.emit('error', 'No encoder available');
-      return;
+      return Promise.resolve(null);
     }
 
-    try {
-      // Compile the video and get the output
-      const output = this.encoder.compile();
-      const blob = new Blob([output], { type: this.mimeType });
+    if (!this.compilePromise) {
+      const encoder = this.encoder;
+      this.compilePromise = this.added.then(() =>
+        encoder.compileAsync(false, progress => this.emit('progress', progress))
+      );
+    }
+
+    return this.compilePromise.then(
+      blob => {
+        this.emit('finished', blob);
 
-      if (callback) {
-        callback(blob);
+        if (callback) {
+          callback(blob);
+        }
+        return blob;
+      },
+      error => {
+        console.error('Error saving WebM:', error);
+        this.emit('error', 'Error saving WebM');
+        this.compilePromise = null;
+        return null;
       }
-    } catch (error) {
-      console.error('Error saving WebM:', error);
-      this.emit('error', 'Error saving WebM');
-    }
+    );
   }
 
   /**
@@ -104,5 +197,7 @@ export default class DCWhammyEncoder extends DCFrameEncoder {
   dispose() {
     this.encoder = null;
     this.frameCount = 0;
+    this.compilePromise = null;
+    this.added = Promise.resolve();
   }
 }
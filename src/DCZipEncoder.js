@@ -0,0 +1,15 @@
+import DCTarEncoder from './DCTarEncoder.js';
+
+/**
+ * Encoder for creating ZIP archives of frames
+ */
+export default class DCZipEncoder extends DCTarEncoder {
+  /**
+   * Creates a new ZIP encoder
+   * @param {Object} settings - Encoder settings
+   * @param {boolean} [settings.compress=false] - Deflate the files in the archive
+   */
+  constructor(settings) {
+    super(Object.assign({}, settings, { archive: 'zip' }));
+  }
+}
@@ -0,0 +1,249 @@
+import { crc32 } from './DCFrameEncoder.js';
+
+/**
+ * Largest value of the 16 and 32-bit ZIP fields, anything bigger needs ZIP64
+ */
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+/**
+ * General purpose flag: file names are UTF-8
+ */
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * Compression methods
+ */
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Writes ZIP archives with the same interface as Tar
+ *
+ * Entries are stored, or deflated with CompressionStream when compress is
+ * set. Files are compressed in parallel but keep the order they were appended
+ * in. ZIP64 records are added when sizes, offsets or the entry count outgrow
+ * the classic format.
+ */
+export default class DCZipWriter {
+  /**
+   * Creates a new ZIP writer
+   * @param {Object} [options] - Writer options
+   * @param {boolean} [options.compress=false] - Deflate the entries
+   */
+  constructor(options = {}) {
+    this.compress = !!options.compress;
+
+    this.parts = [];
+    this.entries = [];
+    this.offset = 0;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Appends a file to the archive
+   * @param {string} filepath - Path of the file in the archive
+   * @param {Uint8Array|string} input - File contents
+   * @param {Object} [opts] - File options
+   * @param {number} [opts.mtime] - Modification time in seconds since the epoch
+   * @returns {Promise} Resolves once the file has been written to the archive
+   */
+  append(filepath, input, opts = {}) {
+    const data = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    const date = opts.mtime !== undefined ? new Date(opts.mtime * 1000) : new Date();
+    const compressed = this.compress ? deflate(data) : Promise.resolve(null);
+
+    this.pending = Promise.all([this.pending, compressed]).then(([, deflated]) =>
+      this.addEntry(filepath, data, deflated, date)
+    );
+    return this.pending;
+  }
+
+  /**
+   * Writes the local header and the data of a file
+   * @param {string} filepath - Path of the file in the archive
+   * @param {Uint8Array} data - File contents
+   * @param {Uint8Array|null} deflated - Deflated contents, if compressed
+   * @param {Date} date - Modification time
+   * @private
+   */
+  addEntry(filepath, data, deflated, date) {
+    // Already compressed files like PNG or JPEG are stored when deflate does not help
+    const method = deflated && deflated.length < data.length ? METHOD_DEFLATE : METHOD_STORE;
+    const body = method === METHOD_DEFLATE ? deflated : data;
+    // DOS dates start in 1980, earlier times like an mtime of 0 would wrap around
+    const time = date.getFullYear() < 1980 ? new Date(1980, 0, 1) : date;
+
+    const entry = {
+      name: new TextEncoder().encode(filepath),
+      method,
+      crc: crc32(data),
+      size: data.length,
+      compressedSize: body.length,
+      offset: this.offset,
+      time: (time.getHours() << 11) | (time.getMinutes() << 5) | (time.getSeconds() >> 1),
+      date: ((time.getFullYear() - 1980) << 9) | ((time.getMonth() + 1) << 5) | time.getDate(),
+    };
+
+    const zip64 = entry.size >= MAX_UINT32 || entry.compressedSize >= MAX_UINT32;
+    const extra = zip64 ? createZip64Extra([entry.size, entry.compressedSize]) : new Uint8Array(0);
+
+    const header = new Uint8Array(30 + entry.name.length + extra.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true); // Local file header signature
+    view.setUint16(4, zip64 ? 45 : 20, true); // Version needed to extract
+    view.setUint16(6, FLAG_UTF8, true);
+    view.setUint16(8, entry.method, true);
+    view.setUint16(10, entry.time, true);
+    view.setUint16(12, entry.date, true);
+    view.setUint32(14, entry.crc, true);
+    view.setUint32(18, zip64 ? MAX_UINT32 : entry.compressedSize, true);
+    view.setUint32(22, zip64 ? MAX_UINT32 : entry.size, true);
+    view.setUint16(26, entry.name.length, true);
+    view.setUint16(28, extra.length, true);
+    header.set(entry.name, 30);
+    header.set(extra, 30 + entry.name.length);
+
+    this.parts.push(header, body);
+    this.entries.push(entry);
+    this.offset += header.length + body.length;
+  }
+
+  /**
+   * Writes the central directory and returns the archive
+   * @returns {Promise<Blob>} ZIP archive, once every appended file has been written
+   */
+  save() {
+    return this.pending.then(() => {
+      const directory = this.entries.map(createCentralHeader);
+      const size = directory.reduce((total, header) => total + header.length, 0);
+      const count = this.entries.length;
+      const end = [];
+
+      if (count >= MAX_UINT16 || size >= MAX_UINT32 || this.offset >= MAX_UINT32) {
+        end.push(createZip64End(count, size, this.offset));
+      }
+
+      const record = new Uint8Array(22);
+      const view = new DataView(record.buffer);
+      view.setUint32(0, 0x06054b50, true); // End of central directory signature
+      view.setUint16(8, Math.min(count, MAX_UINT16), true); // Entries on this disk
+      view.setUint16(10, Math.min(count, MAX_UINT16), true); // Total entries
+      view.setUint32(12, Math.min(size, MAX_UINT32), true);
+      view.setUint32(16, Math.min(this.offset, MAX_UINT32), true);
+      end.push(record);
+
+      return new Blob(this.parts.concat(directory, end), { type: 'application/zip' });
+    });
+  }
+}
+
+/**
+ * Deflates data with CompressionStream
+ * @param {Uint8Array} data - Data to compress
+ * @returns {Promise<Uint8Array|null>} Raw deflate data, or null if it is not supported
+ */
+function deflate(data) {
+  try {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Response(stream)
+      .arrayBuffer()
+      .then(buffer => new Uint8Array(buffer))
+      .catch(() => null);
+  } catch {
+    // Browsers without deflate-raw support store the files
+    return Promise.resolve(null);
+  }
+}
+
+/**
+ * Writes a 64-bit little-endian integer
+ * @param {DataView} view - Destination
+ * @param {number} offset - Byte offset
+ * @param {number} value - Value
+ */
+function setUint64(view, offset, value) {
+  view.setUint32(offset, value % 0x100000000, true);
+  view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+/**
+ * Creates the ZIP64 extended information extra field
+ * @param {number[]} values - The 64-bit sizes and offset, in the order the format requires
+ * @returns {Uint8Array} Extra field
+ */
+function createZip64Extra(values) {
+  const extra = new Uint8Array(4 + values.length * 8);
+  const view = new DataView(extra.buffer);
+  view.setUint16(0, 0x0001, true);
+  view.setUint16(2, values.length * 8, true);
+  values.forEach((value, i) => setUint64(view, 4 + i * 8, value));
+  return extra;
+}
+
+/**
+ * Creates the central directory header of an entry
+ * @param {Object} entry - Entry written by addEntry
+ * @returns {Uint8Array} Central directory header
+ */
+function createCentralHeader(entry) {
+  // Only the fields that overflow go in the ZIP64 extra field
+  const values = [];
+  if (entry.size >= MAX_UINT32) {
+    values.push(entry.size);
+  }
+  if (entry.compressedSize >= MAX_UINT32) {
+    values.push(entry.compressedSize);
+  }
+  if (entry.offset >= MAX_UINT32) {
+    values.push(entry.offset);
+  }
+  const extra = values.length ? createZip64Extra(values) : new Uint8Array(0);
+  const version = values.length ? 45 : 20;
+
+  const header = new Uint8Array(46 + entry.name.length + extra.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, 0x02014b50, true); // Central directory header signature
+  view.setUint16(4, version, true); // Version made by
+  view.setUint16(6, version, true); // Version needed to extract
+  view.setUint16(8, FLAG_UTF8, true);
+  view.setUint16(10, entry.method, true);
+  view.setUint16(12, entry.time, true);
+  view.setUint16(14, entry.date, true);
+  view.setUint32(16, entry.crc, true);
+  view.setUint32(20, Math.min(entry.compressedSize, MAX_UINT32), true);
+  view.setUint32(24, Math.min(entry.size, MAX_UINT32), true);
+  view.setUint16(28, entry.name.length, true);
+  view.setUint16(30, extra.length, true);
+  view.setUint32(42, Math.min(entry.offset, MAX_UINT32), true);
+  header.set(entry.name, 46);
+  header.set(extra, 46 + entry.name.length);
+  return header;
+}
+
+/**
+ * Creates the ZIP64 end of central directory record and its locator
+ * @param {number} count - Number of entries
+ * @param {number} size - Size of the central directory
+ * @param {number} offset - Offset of the central directory
+ * @returns {Uint8Array} Record followed by the locator
+ */
+function createZip64End(count, size, offset) {
+  const end = new Uint8Array(56 + 20);
+  const view = new DataView(end.buffer);
+
+  view.setUint32(0, 0x06064b50, true); // ZIP64 end of central directory signature
+  setUint64(view, 4, 44); // Size of the rest of the record
+  view.setUint16(12, 45, true); // Version made by
+  view.setUint16(14, 45, true); // Version needed to extract
+  setUint64(view, 24, count); // Entries on this disk
+  setUint64(view, 32, count); // Total entries
+  setUint64(view, 40, size);
+  setUint64(view, 48, offset);
+
+  view.setUint32(56, 0x07064b50, true); // ZIP64 end of central directory locator signature
+  setUint64(view, 64, offset + size); // Offset of the ZIP64 record
+  view.setUint32(72, 1, true); // Total number of disks
+
+  return end;
+}
@@ -4,6 +4,13 @@ import DCJPEGEncoder from './DCJPEGEncoder.js';
 import DCMediaRecorderEncoder from './DCMediaRecorderEncoder.js';
 import DCWhammyEncoder from './DCWhammyEncoder.js';
 import DCGIFEncoder from './DCGIFEncoder.js';
+import DCWebCodecsEncoder from './DCWebCodecsEncoder.js';
+import DCMP4Encoder from './DCMP4Encoder.js';
+import DCWebMWriterEncoder from './DCWebMWriterEncoder.js';
+import DCAPNGEncoder from './DCAPNGEncoder.js';
+import DCWebPEncoder from './DCWebPEncoder.js';
+import DCVirtualClock from './DCVirtualClock.js';
+import DCSeededRandom from './DCSeededRandom.js';
 
 // Apply polyfills
 setupPolyfills();
@@ -25,13 +32,42 @@ class DCapture {
    * @param {number} [settings.framerate=60] - Framerate for capture
    * @param {boolean} [settings.verbose=false] - Display console logs
    * @param {boolean} [settings.display=false] - Display capture stats
-   * @param {number} [settings.motionBlurFrames=0] - Frames to include in motion blur
+   * @param {number} [settings.motionBlurFrames=0] - Sub-frame samples averaged into each frame
+   * @param {number} [settings.shutterAngle=360] - Part of the frame interval covered by the samples, in degrees
+   * @param {string} [settings.motionBlurWeighting='box'] - Sample weighting (box, triangle, gaussian)
    * @param {number} [settings.quality=100] - Quality of capture
-   * @param {string} [settings.format='webm'] - Format of capture (webm, webm-mediarecorder, gif, png, jpg)
+   * @param {string} [settings.format='webm'] - Format of capture (webm, webm-mediarecorder, webm-webcodecs, webm-writer, mp4, gif, apng, webp-animated, png, jpg)
    * @param {string} [settings.workersPath=''] - Path to worker scripts
+   * @param {string} [settings.archive='tar'] - Archive of png and jpg captures (tar, zip)
+   * @param {boolean} [settings.compress=false] - Gzip a tar archive (.tar.gz), or deflate the files of a zip archive
+   * @param {WritableStream|FileSystemFileHandle|Object|Function} [settings.sink] - Destination png and jpg captures stream a tar archive to, or a function returning one for each take
+   * @param {string} [settings.framePattern] - Path of each png or jpg frame in the archive ({name}, {index}, {index:05}, {ext})
+   * @param {number} [settings.frameStart=0] - Index of the first png or jpg frame
+   * @param {Date|number} [settings.mtime] - Modification time of archived frames, in seconds since the epoch
+   * @param {string} [settings.owner] - Owner user name of tar entries
+   * @param {string} [settings.group] - Owner group name of tar entries
    * @param {number} [settings.timeLimit=0] - Time limit for capture in seconds
    * @param {number} [settings.frameLimit=0] - Frame limit for capture
+   * @param {string} [settings.codec] - Codec for webm-webcodecs (vp8, vp9, av1) or mp4 (avc1 codec string)
+   * @param {number} [settings.bitrate] - Bitrate for webm-webcodecs and mp4 in bits per second
+   * @param {number} [settings.keyframeInterval] - Frames between keyframes for webm-webcodecs and mp4
+   * @param {boolean} [settings.fragmented=false] - Write a fragmented MP4
+   * @param {boolean} [settings.alpha=false] - Keep the alpha channel in webm output
+   * @param {number} [settings.loopCount=0] - Times a webp-animated animation plays, 0 loops forever
+   * @param {string|boolean} [settings.dither=false] - GIF dithering (floyd-steinberg, atkinson, bayer)
+   * @param {boolean|number} [settings.transparent] - Keep canvas alpha in GIFs (true) or make a 0xRRGGBB color transparent
+   * @param {string} [settings.background='#fff'] - GIF color behind transparent canvas pixels
+   * @param {boolean} [settings.optimize=true] - Only encode the changed part of each GIF frame
+   * @param {string} [settings.paletteMode='per-frame'] - GIF palette (per-frame, global, sampled)
+   * @param {number} [settings.paletteSamples=10] - Frames a sampled GIF palette is built from
+   * @param {string} [settings.quantizer='neuquant'] - GIF color quantizer (neuquant, median-cut, octree, wu)
+   * @param {boolean} [settings.exactColors=false] - Keep the exact colors of GIF frames with 256 colors or less
+   * @param {FileWriter} [settings.fileWriter] - FileWriter that webm-writer streams the video to
+   * @param {number} [settings.fd] - Node.js file descriptor that webm-writer streams the video to
    * @param {number} [settings.autoSaveTime=0] - Auto-save after this many seconds
+   * @param {number} [settings.maxPendingFrames=8] - Frames the encoder may be working on at once
+   * @param {number|string} [settings.seed] - Seed for Math.random while recording
+   * @param {boolean} [settings.seedCrypto=false] - Also seed crypto.getRandomValues
    * @param {Function} [settings.onProgress] - Progress callback
    */
   constructor(settings = {}) {
@@ -42,12 +78,17 @@ class DCapture {
         verbose: false,
         display: false,
         motionBlurFrames: 0,
+        shutterAngle: 360,
+        motionBlurWeighting: 'box',
         quality: 100,
         format: 'webm',
         workersPath: '',
         timeLimit: 0,
         frameLimit: 0,
         autoSaveTime: 0,
+        maxPendingFrames: 8,
+        seed: null,
+        seedCrypto: false,
         onProgress: () => {},
       },
       settings
@@ -62,10 +103,33 @@ class DCapture {
     this.frameCount = 0;
 
     this.paused = false;
+    this.resumePromise = null;
+    this.resolveResume = null;
     this.closed = false;
     this.startCallback = null;
     this.stepCallback = null;
     this.stopped = false;
+    this.stopPromise = null;
+    this.savePromise = null;
+    this.rendering = false;
+    this.canvas = null;
+    this.waitingFrame = null;
+
+    // Virtual clock driving the page while recording
+    this.clock = new DCVirtualClock();
+
+    // Deterministic random numbers while recording
+    this.random =
+      this.settings.seed !== null && this.settings.seed !== undefined
+        ? new DCSeededRandom(this.settings.seed, { crypto: this.settings.seedCrypto })
+        : null;
+
+    // Motion blur accumulation
+    this.blurCanvas = null;
+    this.blurContext = null;
+    this.blurBuffer = null;
+    this.blurSamples = 0;
+    this.blurWeight = 0;
 
     // Create appropriate encoder based on format
     this.createEncoder();
@@ -86,6 +150,31 @@ class DCapture {
         this.encoder = new DCMediaRecorderEncoder(this.settings);
         break;
 
+      case 'webm-webcodecs':
+        this.log('Using WebCodecs encoder');
+        this.encoder = new DCWebCodecsEncoder(this.settings);
+        break;
+
+      case 'webm-writer':
+        this.log('Using WebM Writer encoder');
+        this.encoder = new DCWebMWriterEncoder(this.settings);
+        break;
+
+      case 'mp4':
+        this.log('Using MP4 encoder');
+        this.encoder = new DCMP4Encoder(this.settings);
+        break;
+
+      case 'apng':
+        this.log('Using APNG encoder');
+        this.encoder = new DCAPNGEncoder(this.settings);
+        break;
+
+      case 'webp-animated':
+        this.log('Using animated WebP encoder');
+        this.encoder = new DCWebPEncoder(this.settings);
+        break;
+
       case 'png':
         this.log('Using PNG encoder');
         this.encoder = new DCPNGEncoder(this.settings);
@@ -194,8 +283,14 @@ class DCapture {
     if (!this.displayInfo) return;
 
     const duration = ((Date.now() - this.startTime) / 1000).toFixed(2);
+    const samples =
+      this.settings.motionBlurFrames > 1
+        ? ` (sample ${this.blurSamples}/${this.settings.motionBlurFrames})`
+        : '';
     this.displayInfo.textContent =
-      `Format: ${this.settings.format} | ` + `Frames: ${this.frames} | ` + `Duration: ${duration}s`;
+      `Format: ${this.settings.format} | ` +
+      `Frames: ${this.frames}${samples} | ` +
+      `Duration: ${duration}s`;
   }
 
   /**
@@ -219,13 +314,47 @@ class DCapture {
 
   /**
    * Starts the capture process
+   *
+   * From this point on the page clock is virtual and only advances on capture().
+   * Calling start() again after stop() records a new take with a fresh encoder;
+   * save the previous take before starting the next one. The previous encoder
+   * is disposed once its save is done.
    * @param {Function} [callback] - Callback to execute after starting
    */
   start(callback) {
+    if (this.stopped || !this.encoder) {
+      // A pending save of the previous take can still finish
+      const previous = this.encoder;
+      if (previous && typeof previous.dispose === 'function') {
+        const dispose = () => previous.dispose();
+        (this.savePromise || this.stopPromise || Promise.resolve()).then(dispose, dispose);
+      }
+
+      this.savePromise = null;
+      this.createEncoder();
+    }
+
+    this.clock.install();
+    if (this.random) {
+      this.random.install();
+    }
     this.startTime = Date.now();
     this.frames = 0;
+    this.blurSamples = 0;
+    this.blurWeight = 0;
+    if (this.blurBuffer) {
+      this.blurBuffer.fill(0);
+    }
+    this.paused = false;
+    this.stopped = false;
+    this.stopPromise = null;
+    this.waitingFrame = null;
     this.startCallback = callback;
 
+    if (this.display) {
+      this.display.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    }
+
     this.encoder.start();
     this.log('Started recording');
 
@@ -235,13 +364,22 @@ class DCapture {
   }
 
   /**
-   * Stops the capture process
+   * Stops the capture process and restores the real page clock
    * @param {Function} [callback] - Callback to execute after stopping
    */
   stop() {
     this.stopped = true;
+    this.waitingFrame = null;
+    if (this.paused) {
+      this.paused = false;
+      this.resolveResume();
+    }
+    this.clock.uninstall();
+    if (this.random) {
+      this.random.uninstall();
+    }
 
-    return Promise.resolve()
+    this.stopPromise = Promise.resolve()
       .then(() => {
         if (typeof this.encoder.stop === 'function') {
           const result = this.encoder.stop();
@@ -256,57 +394,270 @@ class DCapture {
           this.display.style.backgroundColor = 'rgba(45, 145, 45, 0.5)';
         }
       });
+
+    return this.stopPromise;
+  }
+
+  /**
+   * Pauses the capture
+   *
+   * Frames passed to capture() are dropped and the capture clock stands still
+   * until resume() is called. The encoder stays open, and time and frame limits
+   * only count captured frames.
+   */
+  pause() {
+    if (this.paused || this.stopped) {
+      return;
+    }
+
+    this.paused = true;
+    this.resumePromise = new Promise(resolve => {
+      this.resolveResume = resolve;
+    });
+
+    if (this.encoder) {
+      this.encoder.pause();
+    }
+    this.log('Paused recording');
+  }
+
+  /**
+   * Resumes a paused capture
+   */
+  resume() {
+    if (!this.paused) {
+      return;
+    }
+
+    this.paused = false;
+    this.resolveResume();
+
+    if (this.encoder) {
+      this.encoder.resume();
+    }
+    this.log('Resumed recording');
   }
 
   /**
    * Captures a frame from the canvas
+   *
+   * While the encoder is busy with maxPendingFrames frames, the frame is kept
+   * aside and the capture clock does not move until the encoder accepts it.
+   * Only one frame is kept, a newer one replaces it.
    * @param {HTMLCanvasElement} canvas - Canvas element to capture
+   * @returns {Promise} Resolves once the encoder has accepted the frame, or
+   * once the capture is resumed if it is paused
    */
   capture(canvas) {
-    if (this.stopped) return;
+    if (this.stopped) return Promise.resolve();
 
     if (!this.encoder) {
       throw new Error('No encoder available');
     }
 
+    // render() captures this canvas unless it is given another one
+    this.canvas = canvas;
+
+    // Drop the frame but keep the page's animation loop running at the frozen time
+    if (this.paused) {
+      this.clock.scheduleAnimationFrames();
+      return this.resumePromise;
+    }
+
+    // Hand the frame over right away while the encoder has room for it
+    if (this.encoder.canAccept()) {
+      this.captureFrame(canvas);
+      return Promise.resolve();
+    }
+
+    // Otherwise keep a copy, the canvas may be redrawn or cleared while waiting
+    if (!this.waitingFrame) {
+      this.waitingFrame = { canvas: document.createElement('canvas'), promise: null };
+      this.waitingFrame.promise = this.waitForEncoder(this.waitingFrame);
+    }
+
+    const copy = this.waitingFrame.canvas;
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    copy.getContext('2d').drawImage(canvas, 0, 0);
+
+    return this.waitingFrame.promise;
+  }
+
+  /**
+   * Captures the frame kept aside once the encoder has room for it
+   * @param {Object} frame - Frame kept aside by capture()
+   * @returns {Promise} Resolves once the frame has been captured or dropped
+   * @private
+   */
+  waitForEncoder(frame) {
+    return this.encoder.ready().then(() => {
+      // Stopping or starting again drops the frame
+      if (this.waitingFrame !== frame) {
+        return;
+      }
+
+      // A pause while waiting holds the frame back until the capture resumes
+      if (this.paused) {
+        return this.resumePromise.then(() => {
+          if (this.waitingFrame === frame) {
+            return this.waitForEncoder(frame);
+          }
+        });
+      }
+
+      // Another waiter may have taken the free slot first
+      if (!this.encoder.canAccept()) {
+        return this.waitForEncoder(frame);
+      }
+
+      this.waitingFrame = null;
+      this.captureFrame(frame.canvas);
+    });
+  }
+
+  /**
+   * Captures a frame the encoder is ready to accept
+   * @param {HTMLCanvasElement} canvas - Canvas element to capture
+   * @private
+   */
+  captureFrame(canvas) {
     // Handle motion blur
     if (this.settings.motionBlurFrames > 1) {
       this.captureMotionBlur(canvas);
     } else {
-      this.frames++;
-      this.encoder.add(canvas);
+      this.addFrame(canvas);
 
-      if (this.settings.display) {
-        this.updateDisplayInfo();
-      }
+      // Advance the page clock by exactly one frame
+      this.clock.step((this.frames * 1000) / this.settings.framerate);
 
-      // Check for time limit
-      if (this.settings.timeLimit > 0) {
-        const duration = (Date.now() - this.startTime) / 1000;
-        if (duration >= this.settings.timeLimit) {
-          this.stop().then(() => this.save());
-        }
+      this.checkLimits();
+    }
+  }
+
+  /**
+   * Hands a finished frame to the encoder
+   * @param {HTMLCanvasElement} canvas - Canvas element holding the frame
+   * @private
+   */
+  addFrame(canvas) {
+    this.frames++;
+    this.encoder.add(canvas);
+
+    if (this.settings.display) {
+      this.updateDisplayInfo();
+    }
+  }
+
+  /**
+   * Stops and saves the capture once the time or frame limit is reached
+   *
+   * While render() is running it saves the capture itself
+   * @private
+   */
+  checkLimits() {
+    const duration = this.frames / this.settings.framerate;
+
+    // Time limit is measured on the capture clock
+    if (
+      (this.settings.timeLimit > 0 && duration >= this.settings.timeLimit) ||
+      (this.settings.frameLimit > 0 && this.frames >= this.settings.frameLimit)
+    ) {
+      const stopping = this.stop();
+      if (!this.rendering) {
+        stopping.then(() => this.save());
       }
+    }
+  }
 
-      // Check for frame limit
-      if (this.settings.frameLimit > 0) {
-        if (this.frames >= this.settings.frameLimit) {
-          this.stop().then(() => this.save());
-        }
+  /**
+   * Returns the weight of a motion blur sample
+   * @param {number} index - Sample index within the frame
+   * @returns {number} Weight of the sample
+   * @private
+   */
+  sampleWeight(index) {
+    // Position of the sample within the open shutter, in (0, 1)
+    const position = (index + 0.5) / this.settings.motionBlurFrames;
+
+    switch (this.settings.motionBlurWeighting) {
+      case 'triangle':
+        return 1 - Math.abs(2 * position - 1);
+
+      case 'gaussian': {
+        const sigma = 1 / 6;
+        return Math.exp(-Math.pow(position - 0.5, 2) / (2 * sigma * sigma));
       }
+
+      case 'box':
+      default:
+        return 1;
     }
   }
 
   /**
    * Captures a frame with motion blur
+   *
+   * Every call adds one weighted sub-frame sample to the accumulation buffer and
+   * moves the clock to the next sample time. Samples are spread over the part of
+   * the frame interval given by shutterAngle. Once motionBlurFrames samples have
+   * been collected, their weighted average is handed to the encoder as a single
+   * frame and the clock jumps to the start of the next frame.
    * @param {HTMLCanvasElement} canvas - Canvas element to capture
    * @private
    */
   captureMotionBlur(canvas) {
-    // Implementation for motion blur
-    // Not implemented in this example
-    this.frames++;
-    this.encoder.add(canvas);
+    const samples = this.settings.motionBlurFrames;
+    const width = canvas.width;
+    const height = canvas.height;
+
+    // (Re)create the accumulation buffer when the canvas size changes
+    if (!this.blurCanvas || this.blurCanvas.width !== width || this.blurCanvas.height !== height) {
+      this.blurCanvas = document.createElement('canvas');
+      this.blurCanvas.width = width;
+      this.blurCanvas.height = height;
+      this.blurContext = this.blurCanvas.getContext('2d', { willReadFrequently: true });
+      this.blurBuffer = new Float32Array(width * height * 4);
+      this.blurSamples = 0;
+      this.blurWeight = 0;
+    }
+
+    // Accumulate this sample
+    const weight = this.sampleWeight(this.blurSamples);
+    this.blurContext.clearRect(0, 0, width, height);
+    this.blurContext.drawImage(canvas, 0, 0);
+    const data = this.blurContext.getImageData(0, 0, width, height).data;
+    const buffer = this.blurBuffer;
+    for (let i = 0; i < data.length; i++) {
+      buffer[i] += data[i] * weight;
+    }
+    this.blurSamples++;
+    this.blurWeight += weight;
+
+    // Emit the averaged frame once all samples are in
+    if (this.blurSamples >= samples) {
+      const imageData = this.blurContext.createImageData(width, height);
+      for (let i = 0; i < buffer.length; i++) {
+        imageData.data[i] = buffer[i] / this.blurWeight;
+      }
+      this.blurContext.putImageData(imageData, 0, 0);
+
+      this.addFrame(this.blurCanvas);
+      buffer.fill(0);
+      this.blurSamples = 0;
+      this.blurWeight = 0;
+    } else if (this.settings.display) {
+      this.updateDisplayInfo();
+    }
+
+    // Advance the page clock to the next sample, or to the next frame once the shutter closes
+    const shutter = Math.min(Math.max(this.settings.shutterAngle / 360, 0), 1);
+    const offset = (shutter * this.blurSamples) / samples;
+    this.clock.step(((this.frames + offset) * 1000) / this.settings.framerate);
+
+    if (this.blurSamples === 0) {
+      this.checkLimits();
+    }
   }
 
   /**
@@ -318,14 +669,129 @@ class DCapture {
       throw new Error('No encoder available');
     }
 
-    this.encoder.save(callback);
+    // Settles once the encoder has handed over the file or failed
+    const encoder = this.encoder;
+    this.savePromise = new Promise(resolve => {
+      const done = () => {
+        encoder.off('error', done);
+        resolve();
+      };
+      encoder.on('error', done);
+      encoder.save(blob => {
+        done();
+        if (callback) {
+          callback(blob);
+        }
+      });
+    });
     this.log('Saving...');
   }
 
+  /**
+   * Renders an animation offline, without a requestAnimationFrame loop
+   *
+   * drawFn is called for every captured frame (every sample with motion blur)
+   * with the capture time in milliseconds and the frame index. It may return a
+   * promise to finish asynchronous work before the canvas is captured. The next
+   * frame is only drawn once the encoder has accepted the previous one.
+   *
+   * If drawFn throws or the encoder fails, the capture is stopped, which gives
+   * the page its real clock back, and the returned promise rejects.
+   * @param {Function} drawFn - Draws a frame: (time, frameIndex) => void|Promise
+   * @param {Object} options - Render options
+   * @param {HTMLCanvasElement} [options.canvas] - Canvas element to capture, defaults to the one last passed to capture()
+   * @param {number} [options.frames] - Number of frames to render
+   * @param {number} [options.duration] - Duration to render in seconds
+   * @returns {Promise<Blob>} Resolves with the saved capture
+   */
+  render(drawFn, options = {}) {
+    const canvas = options.canvas || this.canvas;
+    const frames =
+      options.frames !== undefined
+        ? options.frames
+        : Math.round((options.duration || 0) * this.settings.framerate);
+
+    if (typeof drawFn !== 'function') {
+      return Promise.reject(new Error('render() needs a draw function'));
+    }
+    if (!canvas) {
+      return Promise.reject(new Error('render() needs a canvas to capture'));
+    }
+    if (!(frames > 0)) {
+      return Promise.reject(new Error('render() needs a frame count or a duration'));
+    }
+
+    if (!this.clock.installed) {
+      this.start();
+    }
+    this.rendering = true;
+
+    const renderFrame = () => {
+      if (this.stopped || this.frames >= frames) {
+        // A time or frame limit may already have stopped the capture
+        const stopping = this.stopped ? this.stopPromise : this.stop();
+        return stopping.then(() => this.saveRender());
+      }
+
+      // Media elements have finished seeking to the frame's time before it is drawn
+      return this.clock.ready
+        .then(() => drawFn(this.clock.elapsed, this.frames))
+        .then(() => this.capture(canvas))
+        .then(renderFrame);
+    };
+
+    return renderFrame().then(
+      blob => {
+        this.rendering = false;
+        return blob;
+      },
+      error => {
+        this.rendering = false;
+        if (!this.stopped) {
+          this.stop().catch(stopError => console.error('Error stopping capture:', stopError));
+        }
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Saves the capture made by render()
+   * @returns {Promise<Blob>} Resolves with the blob, rejects if the encoder reports an error
+   * @private
+   */
+  saveRender() {
+    const encoder = this.encoder;
+    return new Promise((resolve, reject) => {
+      // Encoders report a failed save with an error event instead of calling back
+      const onError = error => {
+        encoder.off('error', onError);
+        reject(new Error(error));
+      };
+      encoder.on('error', onError);
+      this.save(blob => {
+        encoder.off('error', onError);
+        resolve(blob);
+      });
+    });
+  }
+
   /**
    * Dispose all resources
    */
   dispose() {
+    // Nothing may keep waiting for a capture that will never resume
+    if (this.paused) {
+      this.paused = false;
+      this.resolveResume();
+    }
+    this.waitingFrame = null;
+
+    this.clock.uninstall();
+    if (this.random) {
+      this.random.uninstall();
+    }
+
     if (this.display && this.display.parentNode) {
       this.display.parentNode.removeChild(this.display);
     }
@@ -335,6 +801,9 @@ class DCapture {
     }
 
     this.encoder = null;
+    this.blurCanvas = null;
+    this.blurContext = null;
+    this.blurBuffer = null;
     this.display = null;
     this.displayInfo = null;
     this.displayProgressBar = null;
@@ -11,9 +11,31 @@ window.Whammy = (function () {
   function toWebM(frames, outputAsArray) {
     var info = checkFrames(frames);
 
+    // frames with an alpha stream go in BlockGroups with the alpha as BlockAdditional
+    var alpha = frames.some(function (frame) {
+      return !!frame.alpha;
+    });
+
     //max duration by cluster in milliseconds
     var CLUSTER_MAX_DURATION = 30000;
 
+    var video = [
+      {
+        data: info.width,
+        id: 0xb0, // PixelWidth
+      },
+      {
+        data: info.height,
+        id: 0xba, // PixelHeight
+      },
+    ];
+    if (alpha) {
+      video.push({
+        data: 1,
+        id: 0x53c0, // AlphaMode
+      });
+    }
+
     var EBML = [
       {
         id: 0x1a45dfa3, // EBML
@@ -39,7 +61,7 @@ window.Whammy = (function () {
             id: 0x4282, // DocType
           },
           {
-            data: 2,
+            data: alpha ? 4 : 2,
             id: 0x4287, // DocTypeVersion
           },
           {
@@ -108,16 +130,7 @@ window.Whammy = (function () {
                   },
                   {
                     id: 0xe0, // Video
-                    data: [
-                      {
-                        data: info.width,
-                        id: 0xb0, // PixelWidth
-                      },
-                      {
-                        data: info.height,
-                        id: 0xba, // PixelHeight
-                      },
-                    ],
+                    data: video,
                   },
                 ],
               },
@@ -190,15 +203,45 @@ window.Whammy = (function () {
               discardable: 0,
               frame: webp.data.slice(4),
               invisible: 0,
-              keyframe: 1,
+              // a Block has no keyframe flag, it's implied by the missing ReferenceBlock
+              keyframe: webp.alpha ? 0 : 1,
               lacing: 0,
               trackNum: 1,
               timecode: Math.round(clusterCounter),
             });
             clusterCounter += webp.duration;
+            if (!webp.alpha) {
+              return {
+                data: block,
+                id: 0xa3, // SimpleBlock
+              };
+            }
             return {
-              data: block,
-              id: 0xa3,
+              id: 0xa0, // BlockGroup
+              data: [
+                {
+                  data: block,
+                  id: 0xa1, // Block
+                },
+                {
+                  id: 0x75a1, // BlockAdditions
+                  data: [
+                    {
+                      id: 0xa6, // BlockMore
+                      data: [
+                        {
+                          data: 1,
+                          id: 0xee, // BlockAddID
+                        },
+                        {
+                          data: webp.alpha,
+                          id: 0xa5, // BlockAdditional
+                        },
+                      ],
+                    },
+                  ],
+                },
+              ],
             };
           })
         ),
@@ -429,6 +472,9 @@ window.Whammy = (function () {
 
   function parseWebP(riff) {
     var VP8 = riff.RIFF[0].WEBP[0];
+    if (!VP8) {
+      throw 'WebP frame has no VP8 chunk, lossless (VP8L) frames cannot be stored in WebM';
+    }
 
     var frame_start = VP8.indexOf('\x9d\x01\x2a'); //A VP8 keyframe starts with the 0x9d012a header
     for (var i = 0, c = []; i < 4; i++) c[i] = VP8.charCodeAt(frame_start + 3 + i);
@@ -465,23 +511,37 @@ window.Whammy = (function () {
       var id = string.substr(offset, 4);
       chunks[id] = chunks[id] || [];
       if (id == 'RIFF' || id == 'LIST') {
-        var len = parseInt(
-          string
-            .substr(offset + 4, 4)
-            .split('')
-            .map(function (i) {
-              var unpadded = i.charCodeAt(0).toString(2);
-              return new Array(8 - unpadded.length + 1).join('0') + unpadded;
-            })
-            .join(''),
-          2
-        );
+        // sizes are little-endian
+        var len =
+          (string.charCodeAt(offset + 4) |
+            (string.charCodeAt(offset + 5) << 8) |
+            (string.charCodeAt(offset + 6) << 16) |
+            (string.charCodeAt(offset + 7) << 24)) >>>
+          0;
         var data = string.substr(offset + 4 + 4, len);
         offset += 4 + 4 + len;
         chunks[id].push(parseRIFF(data));
       } else if (id == 'WEBP') {
-        // Use (offset + 8) to skip past "VP8 "/"VP8L"/"VP8X" field after "WEBP"
-        chunks[id].push(string.substr(offset + 8));
+        // the rest is a list of chunks: "VP8 " on its own, or "VP8X", "ALPH" and "VP8 "
+        // when the image has transparency. the VP8 chunk goes in WEBP with its size in front,
+        // the others under their own id
+        offset += 4;
+        while (offset + 8 <= string.length) {
+          var chunkId = string.substr(offset, 4);
+          var chunkSize =
+            string.charCodeAt(offset + 4) |
+            (string.charCodeAt(offset + 5) << 8) |
+            (string.charCodeAt(offset + 6) << 16) |
+            (string.charCodeAt(offset + 7) << 24);
+          if (chunkId == 'VP8 ') {
+            chunks[id].push(string.substr(offset + 4, 4 + chunkSize));
+          } else {
+            chunks[chunkId] = chunks[chunkId] || [];
+            chunks[chunkId].push(string.substr(offset + 8, chunkSize));
+          }
+          // chunks are padded to an even size
+          offset += 8 + chunkSize + (chunkSize & 1);
+        }
         offset = string.length;
       } else {
         // Unknown chunk type; push entire payload
@@ -511,11 +571,13 @@ window.Whammy = (function () {
       .join(''); // join the bytes in holy matrimony as a string
   }
 
-  function WhammyVideo(speed, quality) {
+  function WhammyVideo(speed, quality, alpha) {
     // a more abstract-ish API
     this.frames = [];
     this.duration = 1000 / speed;
     this.quality = quality || 0.8;
+    // keep the alpha channel, only supported by compileAsync
+    this.alpha = !!alpha;
   }
 
   WhammyVideo.prototype.add = function (frame, duration) {
@@ -534,7 +596,7 @@ window.Whammy = (function () {
     } else if (typeof frame != 'string') {
       throw 'frame must be a a HTMLCanvasElement, a CanvasRenderingContext2D or a DataURI formatted string';
     }
-    if (typeof frame === 'string' && !/^data:image\/webp;base64,/gi.test(frame)) {
+    if (typeof frame === 'string' && !/^data:image\/webp(;[^,;]+)*;base64,/i.test(frame)) {
       throw 'Input must be formatted properly as a base64 encoded DataURI of type image/webp';
     }
     this.frames.push({
@@ -576,7 +638,7 @@ window.Whammy = (function () {
       function () {
         var webm = new toWebM(
           this.frames.map(function (frame) {
-            var webp = parseWebP(parseRIFF(atob(frame.image.slice(23))));
+            var webp = parseWebP(parseRIFF(dataURLToString(frame.image)));
             webp.duration = frame.duration;
             return webp;
           }),
@@ -587,12 +649,304 @@ window.Whammy = (function () {
     );
   };
 
+  // Encodes ImageData as WebP off the main thread. Posts back the WebP bytes or an error.
+  var WEBP_WORKER_SOURCE = [
+    'self.onmessage = function (e) {',
+    '  var image = e.data.image;',
+    '  var canvas = new OffscreenCanvas(image.width, image.height);',
+    "  canvas.getContext('2d').putImageData(image, 0, 0);",
+    "  canvas.convertToBlob({ type: 'image/webp', quality: e.data.quality })",
+    '    .then(function (blob) {',
+    "      if (blob.type !== 'image/webp') throw 'WebP encoding is not supported';",
+    '      return blob.arrayBuffer();',
+    '    })',
+    '    .then(',
+    '      function (buffer) { self.postMessage({ index: e.data.index, buffer: buffer }, [buffer]); },',
+    '      function (error) { self.postMessage({ index: e.data.index, error: String(error) }); }',
+    '    );',
+    '};',
+  ].join('\n');
+
+  var MAX_WORKERS = 4;
+
+  function canEncodeInWorkers() {
+    return (
+      typeof Worker != 'undefined' &&
+      typeof OffscreenCanvas != 'undefined' &&
+      typeof OffscreenCanvas.prototype.convertToBlob == 'function' &&
+      typeof URL != 'undefined' &&
+      typeof URL.createObjectURL == 'function'
+    );
+  }
+
+  // the rest of whammy works on binary strings, so that's what we hand back
+  function bufferToString(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var str = '';
+    for (var i = 0; i < bytes.length; i += 0x8000) {
+      str += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return str;
+  }
+
+  function dataURLToString(url) {
+    // the header is 'data:image/webp;base64,' but may carry parameters too
+    return atob(url.slice(url.indexOf(',') + 1));
+  }
+
+  // resolves with the WebP of every frame as a binary string, in order
+  function encodeInWorkers(frames, quality, progress) {
+    return new Promise(function (resolve, reject) {
+      var url = URL.createObjectURL(new Blob([WEBP_WORKER_SOURCE], { type: 'text/javascript' }));
+      var count = Math.min(
+        frames.length,
+        navigator.hardwareConcurrency || MAX_WORKERS,
+        MAX_WORKERS
+      );
+      var workers = [];
+      var results = new Array(frames.length);
+      var next = 0;
+      var remaining = frames.length;
+      var settled = false;
+
+      function finish(error) {
+        if (settled) return;
+        settled = true;
+        workers.forEach(function (worker) {
+          worker.terminate();
+        });
+        URL.revokeObjectURL(url);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(results);
+        }
+      }
+
+      function feed(worker) {
+        // frames added as data urls are already WebP
+        while (next < frames.length && !(frames[next].image instanceof ImageData)) {
+          results[next] = dataURLToString(frames[next].image);
+          next++;
+          remaining--;
+          progress();
+        }
+        if (next >= frames.length) {
+          if (remaining === 0) finish();
+          return;
+        }
+        var index = next++;
+        worker.postMessage({ index: index, image: frames[index].image, quality: quality });
+      }
+
+      for (var i = 0; i < count; i++) {
+        var worker = new Worker(url);
+        worker.onmessage = function (e) {
+          if (e.data.error) {
+            finish(new Error(e.data.error));
+            return;
+          }
+          results[e.data.index] = bufferToString(e.data.buffer);
+          remaining--;
+          progress();
+          feed(e.target);
+        };
+        worker.onerror = function (e) {
+          e.preventDefault();
+          finish(new Error(e.message || 'WebP worker failed'));
+        };
+        workers.push(worker);
+      }
+
+      workers.forEach(feed);
+    });
+  }
+
+  // same as encodeInWorkers, but yields to the page between frames instead
+  function encodeOnMainThread(frames, quality, progress) {
+    return new Promise(function (resolve) {
+      var results = [];
+      var tmpCanvas, tmpContext;
+
+      var encodeFrame = function (index) {
+        var image = frames[index].image;
+        if (image instanceof ImageData) {
+          if (!tmpCanvas) {
+            tmpCanvas = document.createElement('canvas');
+            tmpContext = tmpCanvas.getContext('2d');
+          }
+          tmpCanvas.width = image.width;
+          tmpCanvas.height = image.height;
+          tmpContext.putImageData(image, 0, 0);
+          image = tmpCanvas.toDataURL('image/webp', quality);
+        }
+        results.push(dataURLToString(image));
+        progress();
+
+        if (index < frames.length - 1) {
+          setTimeout(function () {
+            encodeFrame(index + 1);
+          }, 0);
+        } else {
+          resolve(results);
+        }
+      };
+
+      encodeFrame(0);
+    });
+  }
+
+  // more than enough for the flat alpha planes, hardware VP8 encoders may refuse higher
+  var MAX_ALPHA_BITRATE = 20000000;
+
+  function canEncodeAlpha() {
+    return typeof VideoEncoder != 'undefined' && typeof VideoFrame != 'undefined';
+  }
+
+  // VP8 alpha is a second VP8 stream whose luma plane holds the alpha values.
+  // canvas WebP encoding maps gray to limited range luma (16-235), so the alpha
+  // frames are encoded from I420 data with WebCodecs instead, keeping 0-255.
+  // resolves with one VP8 keyframe per frame as a binary string
+  function encodeAlpha(frames, duration) {
+    var width = frames[0].image.width;
+    var height = frames[0].image.height;
+    var lumaSize = width * height;
+    var chromaSize = Math.ceil(width / 2) * Math.ceil(height / 2);
+
+    return new Promise(function (resolve, reject) {
+      var results = [];
+      var encoder = null;
+      var fail = function (error) {
+        if (encoder && encoder.state !== 'closed') {
+          encoder.close();
+        }
+        reject(error);
+      };
+
+      encoder = new VideoEncoder({
+        output: function (chunk) {
+          var data = new Uint8Array(chunk.byteLength);
+          chunk.copyTo(data);
+          results.push(bufferToString(data.buffer));
+        },
+        error: fail,
+      });
+
+      try {
+        encoder.configure({
+          codec: 'vp8',
+          width: width,
+          height: height,
+          framerate: 1000 / duration,
+          // flat alpha planes compress well, aim for the lowest quantizer
+          bitrate: Math.min(lumaSize * Math.round(1000 / duration), MAX_ALPHA_BITRATE),
+        });
+      } catch (error) {
+        fail(error);
+        return;
+      }
+
+      for (var i = 0; i < frames.length; i++) {
+        var image = frames[i].image;
+        var planes = new Uint8Array(lumaSize + 2 * chromaSize);
+        for (var p = 0; p < lumaSize; p++) {
+          planes[p] = image.data[p * 4 + 3];
+        }
+        planes.fill(128, lumaSize);
+
+        var videoFrame = new VideoFrame(planes, {
+          format: 'I420',
+          codedWidth: width,
+          codedHeight: height,
+          timestamp: Math.round(i * duration * 1000),
+        });
+        encoder.encode(videoFrame, { keyFrame: true });
+        videoFrame.close();
+      }
+
+      encoder.flush().then(function () {
+        encoder.close();
+        if (results.length != frames.length) {
+          reject(new Error('Alpha encoder dropped frames'));
+        } else {
+          resolve(results);
+        }
+      }, fail);
+    });
+  }
+
+  // non-blocking compile: encodes the frames in workers when possible and
+  // resolves with the webm. onProgress gets the encoded fraction after every frame
+  WhammyVideo.prototype.compileAsync = function (outputAsArray, onProgress) {
+    var frames = this.frames;
+    var quality = this.quality;
+    var duration = this.duration;
+
+    if (!frames.length) {
+      return Promise.reject(new Error('No frames to compile'));
+    }
+
+    var done = 0;
+    var progress = function () {
+      done++;
+      if (onProgress) onProgress(done / frames.length);
+    };
+
+    var encoded;
+    if (canEncodeInWorkers()) {
+      encoded = encodeInWorkers(frames, quality, progress).catch(function (error) {
+        console.warn('Encoding WebP in workers failed, using the main thread', error);
+        done = 0;
+        return encodeOnMainThread(frames, quality, progress);
+      });
+    } else {
+      encoded = encodeOnMainThread(frames, quality, progress);
+    }
+
+    var withAlpha =
+      this.alpha &&
+      frames.every(function (frame) {
+        return frame.image instanceof ImageData;
+      });
+    if (this.alpha && !withAlpha) {
+      console.warn('Alpha needs canvas frames, compiling without it');
+    } else if (withAlpha && !canEncodeAlpha()) {
+      console.warn('Alpha needs WebCodecs VideoEncoder, compiling without it');
+      withAlpha = false;
+    }
+
+    return encoded
+      .then(function (webps) {
+        var alphas = null;
+        if (withAlpha) {
+          alphas = encodeAlpha(frames, duration).catch(function (error) {
+            console.warn('Encoding alpha failed, compiling without it', error);
+            return null;
+          });
+        }
+        return Promise.all([webps, alphas]);
+      })
+      .then(function (results) {
+        var webps = results[0];
+        var alphas = results[1];
+        return toWebM(
+          webps.map(function (webp, i) {
+            var frame = parseWebP(parseRIFF(webp));
+            frame.duration = frames[i].duration;
+            if (alphas) frame.alpha = alphas[i];
+            return frame;
+          }),
+          outputAsArray
+        );
+      });
+  };
+
   return {
     Video: WhammyVideo,
     fromImageArray: function (images, fps, outputAsArray) {
       return toWebM(
         images.map(function (image) {
-          var webp = parseWebP(parseRIFF(atob(image.slice(23))));
+          var webp = parseWebP(parseRIFF(dataURLToString(image)));
           webp.duration = 1000 / fps;
           return webp;
         }),
@@ -600,6 +954,8 @@ window.Whammy = (function () {
       );
     },
     toWebM: toWebM,
+    parseRIFF: parseRIFF,
+    parseWebP: parseWebP,
     // expose methods of madness
   };
 })();
@@ -60,6 +60,8 @@
       return (d.prototype = b.prototype), (a.prototype = new d()), (a.__super__ = b.prototype), a;
     }
     var h, c, f, b, e;
+    // Opaque pixels sampled from the frames to build a global palette
+    var PALETTE_SAMPLE_PIXELS = 1 << 20;
     (f = a('events', d).EventEmitter),
       (h = a('/browser.coffee', d)),
       (e = (function (d) {
@@ -85,8 +87,13 @@
             width: null,
             height: null,
             transparent: null,
+            dither: !1,
+            quantizer: 'neuquant',
+            exactColors: !1,
+            globalPalette: !1,
+            paletteFrames: null,
           }),
-          (b = { delay: 500, copy: !1 }),
+          (b = { delay: 500, copy: !1, dispose: -1, left: 0, top: 0 }),
           (a.prototype.setOption = function (a, b) {
             return (
               (this.options[a] = b),
@@ -107,14 +114,16 @@
           }),
           (a.prototype.addFrame = function (a, d) {
             var c, e;
-            null == d && (d = {}), (c = {}), (c.transparent = this.options.transparent);
+            null == d && (d = {}),
+              (c = {}),
+              (c.transparent = null != d.transparent ? d.transparent : this.options.transparent);
             for (e in b) c[e] = d[e] || b[e];
             if (
               (null != this.options.width || this.setOption('width', a.width),
               null != this.options.height || this.setOption('height', a.height),
               'undefined' !== typeof ImageData && null != ImageData && a instanceof ImageData)
             )
-              c.data = a.data;
+              (c.data = a.data), (c.width = a.width), (c.height = a.height);
             else if (
               ('undefined' !== typeof CanvasRenderingContext2D &&
                 null != CanvasRenderingContext2D &&
@@ -126,13 +135,47 @@
               d.copy ? (c.data = this.getContextData(a)) : (c.context = a);
             else if (null != a.childNodes) d.copy ? (c.data = this.getImageData(a)) : (c.image = a);
             else throw new Error('Invalid image');
-            return this.frames.push(c);
+            var count = this.frames.push(c);
+            // While streaming, a free worker starts on the frame right away
+            if (this.streaming && this.freeWorkers.length > 0) this.renderNextFrame();
+            return count;
+          }),
+          (a.prototype.stream = function () {
+            // Encodes frames as they are added instead of all at once in render(), which then
+            // only waits for the last ones. Frames are dropped once handed to a worker, so a
+            // global palette cannot be built from them.
+            if (this.running) throw new Error('Already running');
+            if (!(null != this.options.width && null != this.options.height))
+              throw new Error('Width and height must be set prior to rendering');
+            if (this.options.globalPalette === !0)
+              throw new Error('A global palette needs every frame before rendering');
+            if (this.options.globalPalette) this.globalPalette = this.options.globalPalette;
+            this.running = !0;
+            this.streaming = !0;
+            this.finishing = !1;
+            this.nextFrame = 0;
+            this.finishedFrames = 0;
+            this.imageParts = [];
+            this.spawnWorkers();
+            while (this.nextFrame < this.frames.length && this.freeWorkers.length > 0)
+              this.renderNextFrame();
+            return this.emit('start');
           }),
           (a.prototype.render = function () {
             var d, a;
+            if (this.streaming) {
+              this.finishing = !0;
+              if (this.frames.length > 0 && this.finishedFrames === this.frames.length)
+                this.finishRendering();
+              return;
+            }
             if (this.running) throw new Error('Already running');
             if (!(null != this.options.width && null != this.options.height))
               throw new Error('Width and height must be set prior to rendering');
+            if (this.options.globalPalette && null == this.globalPalette) {
+              if (this.options.globalPalette === !0) return this.renderPalette();
+              this.globalPalette = this.options.globalPalette;
+            }
             (this.running = !0),
               (this.nextFrame = 0),
               (this.finishedFrames = 0),
@@ -173,6 +216,62 @@
               (d = c[b]), this.renderNextFrame();
             return this.emit('start'), this.emit('progress', 0);
           }),
+          (a.prototype.renderPalette = function () {
+            var b, c;
+            return (
+              (this.running = !0),
+              (c = new Worker(this.options.workerScript)),
+              (c.onmessage = (function (a) {
+                return function (b) {
+                  return (
+                    a.activeWorkers.splice(a.activeWorkers.indexOf(c), 1),
+                    c.terminate(),
+                    (a.globalPalette = b.data.palette),
+                    (a.running = !1),
+                    a.render()
+                  );
+                };
+              })(this)),
+              this.activeWorkers.push(c),
+              (b = this.getPaletteSample()),
+              c.postMessage(
+                {
+                  buildPalette: !0,
+                  data: b,
+                  quality: this.options.quality,
+                  quantizer: this.options.quantizer,
+                  exactColors: this.options.exactColors,
+                },
+                [b.buffer]
+              )
+            );
+          }),
+          (a.prototype.getPaletteSample = function () {
+            // Evenly spaced frames, each adding the same number of opaque pixels
+            var count = Math.min(
+                this.options.paletteFrames || this.frames.length,
+                this.frames.length
+              ),
+              budget = Math.ceil(PALETTE_SAMPLE_PIXELS / count),
+              sample = new Uint8Array(budget * count * 3),
+              length = 0;
+            for (var n = 0; n < count; n++) {
+              var data = this.getFrameData(
+                  this.frames[Math.floor((n * this.frames.length) / count)]
+                ),
+                pixels = data.length / 4,
+                step = Math.max(1, Math.floor(pixels / budget)),
+                taken = 0;
+              for (var p = n % step; p < pixels && taken < budget; p += step) {
+                if (data[p * 4 + 3] < 128) continue;
+                (sample[length++] = data[p * 4]),
+                  (sample[length++] = data[p * 4 + 1]),
+                  (sample[length++] = data[p * 4 + 2]),
+                  taken++;
+              }
+            }
+            return sample.slice(0, length);
+          }),
           (a.prototype.abort = function () {
             var a;
             while (!0) {
@@ -184,7 +283,9 @@
           (a.prototype.spawnWorkers = function () {
             var a;
             return (
-              (a = Math.min(this.options.workers, this.frames.length)),
+              (a = this.streaming
+                ? this.options.workers
+                : Math.min(this.options.workers, this.frames.length)),
               function () {
                 var c;
                 c = [];
@@ -222,6 +323,16 @@
             );
           }),
           (a.prototype.frameFinished = function (a) {
+            if (this.streaming) {
+              this.finishedFrames++;
+              this.imageParts[a.index] = a;
+              this.emit('frame', a.index);
+              this.emit('progress', this.finishedFrames / this.frames.length);
+              if (this.nextFrame < this.frames.length) return this.renderNextFrame();
+              if (this.finishing && this.finishedFrames === this.frames.length)
+                return this.finishRendering();
+              return;
+            }
             return (
               console.log(
                 'frame ' + a.index + ' finished - ' + this.activeWorkers.length + ' active'
@@ -238,6 +349,8 @@
             for (var f = 0, j = this.imageParts.length; f < j; ++f)
               (a = this.imageParts[f]), (b += (a.data.length - 1) * a.pageSize + a.cursor);
             (b += a.pageSize - a.cursor),
+              // Streamed frames never know they are the last one, so the trailer is added here
+              this.streaming && (b += 1),
               console.log('rendering finished - filesize ' + Math.round(b / 1e3) + 'kb'),
               (e = new Uint8Array(b)),
               (d = 0);
@@ -249,6 +362,7 @@
                   e.set(h, d),
                   k === a.data.length - 1 ? (d += a.cursor) : (d += a.pageSize);
             }
+            this.streaming && (e[d] = 0x3b);
             return (m = new Blob([e], { type: 'image/gif' })), this.emit('finished', m, e);
           }),
           (a.prototype.renderNextFrame = function () {
@@ -261,7 +375,9 @@
                 (a = this.getTask(c)),
                 console.log('starting frame ' + (a.index + 1) + ' of ' + this.frames.length),
                 this.activeWorkers.push(b),
-                b.postMessage(a));
+                b.postMessage(a),
+                // A streamed frame is not needed again, only its encoded bytes are kept
+                void (this.streaming && ((c.data = null), (c.context = null), (c.image = null))));
           }),
           (a.prototype.getContextData = function (a) {
             return a.getImageData(0, 0, this.options.width, this.options.height).data;
@@ -274,7 +390,7 @@
                 (this._canvas.width = this.options.width),
                 (this._canvas.height = this.options.height)),
               (a = this._canvas.getContext('2d')),
-              (a.setFill = this.options.background),
+              (a.fillStyle = this.options.background),
               a.fillRect(0, 0, this.options.width, this.options.height),
               a.drawImage(b, 0, 0),
               this.getContextData(a)
@@ -282,26 +398,37 @@
           }),
           (a.prototype.getTask = function (a) {
             var c, b;
-            if (
-              ((c = this.frames.indexOf(a)),
+            return (
+              (c = this.frames.indexOf(a)),
               (b = {
                 index: c,
-                last: c === this.frames.length - 1,
+                last: !this.streaming && c === this.frames.length - 1,
                 delay: a.delay,
                 transparent: a.transparent,
+                dither: this.options.dither,
+                quantizer: this.options.quantizer,
+                exactColors: this.options.exactColors,
+                dispose: a.dispose,
+                left: a.left,
+                top: a.top,
+                frameWidth: a.width,
+                frameHeight: a.height,
                 width: this.options.width,
                 height: this.options.height,
                 quality: this.options.quality,
                 repeat: this.options.repeat,
+                globalPalette: this.globalPalette || null,
                 canTransfer: h.name === 'chrome',
               }),
-              null != a.data)
-            )
-              b.data = a.data;
-            else if (null != a.context) b.data = this.getContextData(a.context);
-            else if (null != a.image) b.data = this.getImageData(a.image);
-            else throw new Error('Invalid frame');
-            return b;
+              (b.data = this.getFrameData(a)),
+              b
+            );
+          }),
+          (a.prototype.getFrameData = function (a) {
+            if (null != a.data) return a.data;
+            if (null != a.context) return this.getContextData(a.context);
+            if (null != a.image) return this.getImageData(a.image);
+            throw new Error('Invalid frame');
           }),
           a
         );
@@ -22,14 +22,22 @@
       a.modules[b] = c;
     }),
     a.define('/gif.worker.coffee', function (d, e, f, g) {
-      var b, c;
+      var b, c, h, Palette;
       (b = a('/GIFEncoder.js', d)),
+        (Palette = a('/Palette.js', d)),
         (c = function (a) {
           var c, e, d, f;
           return (
-            (c = new b(a.width, a.height)),
+            (c = new b(a.frameWidth || a.width, a.frameHeight || a.height)),
             a.index === 0 ? c.writeHeader() : (c.firstFrame = !1),
+            c.setScreenSize(a.width, a.height),
+            c.setPosition(a.left || 0, a.top || 0),
+            c.setDispose(a.dispose),
             c.setTransparent(a.transparent),
+            c.setDither(a.dither),
+            c.setQuantizer(a.quantizer),
+            c.setExactColors(a.exactColors),
+            c.setGlobalPalette(a.globalPalette),
             c.setRepeat(a.repeat),
             c.setDelay(a.delay),
             c.setQuality(a.quality),
@@ -48,8 +56,17 @@
               : self.postMessage(a)
           );
         }),
+        (h = function (task) {
+          const palette = Palette.createPalette(
+            task.data,
+            task.quality,
+            task.quantizer,
+            task.exactColors
+          );
+          return self.postMessage({ palette });
+        }),
         (self.onmessage = function (a) {
-          return c(a.data);
+          return a.data.buildPalette ? h(a.data) : c(a.data);
         });
     }),
     a.define('/GIFEncoder.js', function (e, h, i, j) {
@@ -59,8 +76,17 @@
       function b(a, b) {
         (this.width = ~~a),
           (this.height = ~~b),
+          (this.screenWidth = this.width),
+          (this.screenHeight = this.height),
+          (this.left = 0),
+          (this.top = 0),
           (this.transparent = null),
           (this.transIndex = 0),
+          (this.alphaMask = null),
+          (this.dither = false),
+          (this.globalPalette = null),
+          (this.quantizer = 'neuquant'),
+          (this.exactColors = false),
           (this.repeat = -1),
           (this.delay = 0),
           (this.image = null),
@@ -75,8 +101,9 @@
           (this.sample = 10),
           (this.out = new c());
       }
-      var f = a('/TypedNeuQuant.js', e),
-        g = a('/LZWEncoder.js', e);
+      var g = a('/LZWEncoder.js', e),
+        Palette = a('/Palette.js', e),
+        Dither = a('/Dither.js', e);
       (c.pageSize = 4096), (c.charMap = {});
       for (var d = 0; d < 256; d++) c.charMap[d] = String.fromCharCode(d);
       (c.prototype.newPage = function () {
@@ -103,6 +130,14 @@
         (b.prototype.setFrameRate = function (a) {
           this.delay = Math.round(100 / a);
         }),
+        (b.prototype.setScreenSize = function (width, height) {
+          this.screenWidth = ~~width;
+          this.screenHeight = ~~height;
+        }),
+        (b.prototype.setPosition = function (left, top) {
+          this.left = ~~left;
+          this.top = ~~top;
+        }),
         (b.prototype.setDispose = function (a) {
           a >= 0 && (this.dispose = a);
         }),
@@ -112,6 +147,18 @@
         (b.prototype.setTransparent = function (a) {
           this.transparent = a;
         }),
+        (b.prototype.setDither = function (dither) {
+          this.dither = dither || false;
+        }),
+        (b.prototype.setQuantizer = function (quantizer) {
+          this.quantizer = quantizer || 'neuquant';
+        }),
+        (b.prototype.setExactColors = function (exactColors) {
+          this.exactColors = !!exactColors;
+        }),
+        (b.prototype.setGlobalPalette = function (palette) {
+          this.globalPalette = palette || null;
+        }),
         (b.prototype.addFrame = function (a) {
           (this.image = a),
             this.getImagePixels(),
@@ -120,7 +167,7 @@
               (this.writeLSD(), this.writePalette(), this.repeat >= 0 && this.writeNetscapeExt()),
             this.writeGraphicCtrlExt(),
             this.writeImageDesc(),
-            this.firstFrame || this.writePalette(),
+            this.firstFrame || this.globalPalette !== null || this.writePalette(),
             this.writePixels(),
             (this.firstFrame = !1);
         }),
@@ -134,24 +181,49 @@
           this.out.writeUTFBytes('GIF89a');
         }),
         (b.prototype.analyzePixels = function () {
-          var g = this.pixels.length,
-            d = g / 3;
-          this.indexedPixels = new Uint8Array(d);
-          var a = new f(this.pixels, this.sample);
-          a.buildColormap(), (this.colorTab = a.getColormap());
-          var b = 0;
-          for (var c = 0; c < d; c++) {
-            var e = a.lookupRGB(
-              this.pixels[b++] & 255,
-              this.pixels[b++] & 255,
-              this.pixels[b++] & 255
-            );
-            (this.usedEntry[e] = !0), (this.indexedPixels[c] = e);
+          const mask = this.alphaMask;
+          let lookup = null;
+
+          if (this.globalPalette === null) {
+            const pixels = mask === null ? this.pixels : Palette.getOpaquePixels(this.pixels, mask);
+            const frame = Palette.quantize(pixels, this.sample, this.quantizer, this.exactColors);
+            this.colorTab = frame.colorTab;
+            lookup = frame.lookup;
+          } else {
+            this.colorTab = this.globalPalette;
+          }
+          if (lookup === null) {
+            lookup = Palette.createLookup(this.colorTab);
+          }
+
+          // Transparent pixels need a palette entry of their own
+          let reserved = -1;
+          let substitute = -1;
+          if (mask !== null) {
+            ({ reserved, substitute } = Palette.reserveTransparentIndex(this.colorTab));
+            this.transIndex = reserved;
+          }
+
+          this.indexedPixels = Dither.indexPixels({
+            width: this.width,
+            height: this.height,
+            pixels: this.pixels,
+            mask,
+            colorTab: this.colorTab,
+            lookup,
+            dither: this.dither,
+            reserved,
+            substitute,
+            usedEntry: this.usedEntry,
+          });
+
+          this.pixels = null;
+          this.alphaMask = null;
+          this.colorDepth = 8;
+          this.palSize = 7;
+          if (this.transparent !== null && this.transparent !== true) {
+            this.transIndex = this.findClosest(this.transparent);
           }
-          (this.pixels = null),
-            (this.colorDepth = 8),
-            (this.palSize = 7),
-            this.transparent !== null && (this.transIndex = this.findClosest(this.transparent));
         }),
         (b.prototype.findClosest = function (e) {
           if (this.colorTab === null) return -1;
@@ -184,12 +256,20 @@
                 (this.pixels[c++] = b[f + 1]),
                 (this.pixels[c++] = b[f + 2]);
             }
+          if (this.transparent === true) {
+            this.alphaMask = Palette.getAlphaMask(b, a * g);
+
+            // A fully opaque frame keeps all 256 colours
+            if (this.alphaMask === null) {
+              this.transparent = null;
+            }
+          }
         }),
         (b.prototype.writeGraphicCtrlExt = function () {
           this.out.writeByte(33), this.out.writeByte(249), this.out.writeByte(4);
           var b, a;
           this.transparent === null ? ((b = 0), (a = 0)) : ((b = 1), (a = 2)),
-            this.dispose >= 0 && (a = dispose & 7),
+            this.dispose >= 0 && (a = this.dispose & 7),
             (a <<= 2),
             this.out.writeByte(0 | a | 0 | b),
             this.writeShort(this.delay),
@@ -198,15 +278,17 @@
         }),
         (b.prototype.writeImageDesc = function () {
           this.out.writeByte(44),
-            this.writeShort(0),
-            this.writeShort(0),
+            this.writeShort(this.left),
+            this.writeShort(this.top),
             this.writeShort(this.width),
             this.writeShort(this.height),
-            this.firstFrame ? this.out.writeByte(0) : this.out.writeByte(128 | this.palSize);
+            this.firstFrame || this.globalPalette !== null
+              ? this.out.writeByte(0)
+              : this.out.writeByte(128 | this.palSize);
         }),
         (b.prototype.writeLSD = function () {
-          this.writeShort(this.width),
-            this.writeShort(this.height),
+          this.writeShort(this.screenWidth),
+            this.writeShort(this.screenHeight),
             this.out.writeByte(240 | this.palSize),
             this.out.writeByte(0),
             this.out.writeByte(0);
@@ -563,8 +645,690 @@
         j = 503,
         s = 3 * j;
       A.exports = C;
-    }),
-    a('/gif.worker.coffee');
+    });
+
+  // Palette builders, they take RGB pixels and return 256 colors as a flat array
+  a.define('/Quantizers.js', function (module) {
+    const MAX_COLORS = 256;
+
+    // Repeats the first color, so lookups only ever pick real entries
+    function padPalette(palette) {
+      for (let i = palette.length; i < MAX_COLORS * 3; i += 3) {
+        palette.push(palette[0], palette[1], palette[2]);
+      }
+      return palette;
+    }
+
+    // Keeps the colors as they are, or returns null if there are more than 256
+    function exact(pixels) {
+      const seen = new Set();
+      const palette = [];
+
+      for (let i = 0; i < pixels.length; i += 3) {
+        const key = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+        if (seen.has(key)) {
+          continue;
+        }
+        if (palette.length === MAX_COLORS * 3) {
+          return null;
+        }
+        seen.add(key);
+        palette.push(pixels[i], pixels[i + 1], pixels[i + 2]);
+      }
+
+      return padPalette(palette);
+    }
+
+    // Median cut on a histogram with 5 bits per channel, keeping the sums for exact averages
+    function medianCut(pixels) {
+      const counts = new Float64Array(32768);
+      const sums = new Float64Array(32768 * 3);
+
+      for (let i = 0; i < pixels.length; i += 3) {
+        const bin = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+        counts[bin]++;
+        sums[bin * 3] += pixels[i];
+        sums[bin * 3 + 1] += pixels[i + 1];
+        sums[bin * 3 + 2] += pixels[i + 2];
+      }
+
+      const channel = (bin, axis) => (bin >> (10 - axis * 5)) & 31;
+
+      function createBox(bins) {
+        const min = [31, 31, 31];
+        const max = [0, 0, 0];
+        let count = 0;
+
+        bins.forEach(bin => {
+          count += counts[bin];
+          for (let axis = 0; axis < 3; axis++) {
+            const value = channel(bin, axis);
+            min[axis] = Math.min(min[axis], value);
+            max[axis] = Math.max(max[axis], value);
+          }
+        });
+
+        // A box is split along its longest side
+        let axis = 0;
+        let range = 0;
+        for (let i = 0; i < 3; i++) {
+          if (max[i] - min[i] > range) {
+            range = max[i] - min[i];
+            axis = i;
+          }
+        }
+
+        return { bins, count, axis, range };
+      }
+
+      const bins = [];
+      for (let bin = 0; bin < counts.length; bin++) {
+        if (counts[bin] > 0) {
+          bins.push(bin);
+        }
+      }
+
+      const boxes = [createBox(bins)];
+      while (boxes.length < MAX_COLORS) {
+        // Split the box with the most pixels times its longest side
+        let best = -1;
+        let score = 0;
+        boxes.forEach((box, i) => {
+          if (box.bins.length > 1 && box.count * box.range > score) {
+            score = box.count * box.range;
+            best = i;
+          }
+        });
+        if (best < 0) {
+          break;
+        }
+
+        const box = boxes[best];
+        box.bins.sort((first, second) => channel(first, box.axis) - channel(second, box.axis));
+
+        // Cut at the median pixel, leaving at least one bin on either side
+        let half = 0;
+        let split = 1;
+        for (; split < box.bins.length - 1; split++) {
+          half += counts[box.bins[split - 1]];
+          if (half >= box.count / 2) {
+            break;
+          }
+        }
+
+        boxes.splice(
+          best,
+          1,
+          createBox(box.bins.slice(0, split)),
+          createBox(box.bins.slice(split))
+        );
+      }
+
+      const palette = [];
+      boxes.forEach(box => {
+        let red = 0;
+        let green = 0;
+        let blue = 0;
+        box.bins.forEach(bin => {
+          red += sums[bin * 3];
+          green += sums[bin * 3 + 1];
+          blue += sums[bin * 3 + 2];
+        });
+        palette.push(
+          Math.round(red / box.count),
+          Math.round(green / box.count),
+          Math.round(blue / box.count)
+        );
+      });
+
+      return padPalette(palette);
+    }
+
+    // Octree quantization, merging the deepest nodes until 256 leaves are left
+    function octree(pixels) {
+      const levels = [[], [], [], [], [], [], [], []];
+      let leaves = 0;
+
+      function createNode(level) {
+        const node = { red: 0, green: 0, blue: 0, count: 0, children: null };
+        if (level === 8) {
+          leaves++;
+        } else {
+          node.children = [];
+          levels[level].push(node);
+        }
+        return node;
+      }
+
+      // Merges the children of the deepest node left into it
+      function reduce() {
+        let level = 7;
+        while (levels[level].length === 0) {
+          level--;
+        }
+
+        const node = levels[level].pop();
+        for (let i = 0; i < 8; i++) {
+          const child = node.children[i];
+          if (child) {
+            node.red += child.red;
+            node.green += child.green;
+            node.blue += child.blue;
+            node.count += child.count;
+            leaves--;
+          }
+        }
+        node.children = null;
+        leaves++;
+      }
+
+      const root = createNode(0);
+      for (let i = 0; i < pixels.length; i += 3) {
+        const red = pixels[i];
+        const green = pixels[i + 1];
+        const blue = pixels[i + 2];
+
+        let node = root;
+        for (let level = 0; node.children !== null; level++) {
+          const shift = 7 - level;
+          const index =
+            (((red >> shift) & 1) << 2) | (((green >> shift) & 1) << 1) | ((blue >> shift) & 1);
+          if (!node.children[index]) {
+            node.children[index] = createNode(level + 1);
+          }
+          node = node.children[index];
+        }
+
+        node.red += red;
+        node.green += green;
+        node.blue += blue;
+        node.count++;
+
+        while (leaves > MAX_COLORS) {
+          reduce();
+        }
+      }
+
+      const palette = [];
+      function collect(node) {
+        if (node.children === null) {
+          palette.push(
+            Math.round(node.red / node.count),
+            Math.round(node.green / node.count),
+            Math.round(node.blue / node.count)
+          );
+          return;
+        }
+        for (let i = 0; i < 8; i++) {
+          if (node.children[i]) {
+            collect(node.children[i]);
+          }
+        }
+      }
+      collect(root);
+
+      return padPalette(palette);
+    }
+
+    // Xiaolin Wu's variance minimization on the cumulative moments of a 33x33x33 histogram
+    function wu(pixels) {
+      const SIZE = 33;
+      const weights = new Float64Array(SIZE * SIZE * SIZE);
+      const momentsRed = new Float64Array(weights.length);
+      const momentsGreen = new Float64Array(weights.length);
+      const momentsBlue = new Float64Array(weights.length);
+      const moments2 = new Float64Array(weights.length);
+
+      const at = (r, g, b) => (r * SIZE + g) * SIZE + b;
+
+      for (let i = 0; i < pixels.length; i += 3) {
+        const red = pixels[i];
+        const green = pixels[i + 1];
+        const blue = pixels[i + 2];
+        const index = at((red >> 3) + 1, (green >> 3) + 1, (blue >> 3) + 1);
+
+        weights[index]++;
+        momentsRed[index] += red;
+        momentsGreen[index] += green;
+        momentsBlue[index] += blue;
+        moments2[index] += red * red + green * green + blue * blue;
+      }
+
+      // Sums over every box from the origin, so any box takes eight lookups
+      const tables = [weights, momentsRed, momentsGreen, momentsBlue, moments2];
+      tables.forEach(table => {
+        for (let r = 1; r < SIZE; r++) {
+          const area = new Float64Array(SIZE);
+          for (let g = 1; g < SIZE; g++) {
+            let line = 0;
+            for (let b = 1; b < SIZE; b++) {
+              line += table[at(r, g, b)];
+              area[b] += line;
+              table[at(r, g, b)] = table[at(r - 1, g, b)] + area[b];
+            }
+          }
+        }
+      });
+
+      function volume(box, m) {
+        return (
+          m[at(box.r1, box.g1, box.b1)] -
+          m[at(box.r1, box.g1, box.b0)] -
+          m[at(box.r1, box.g0, box.b1)] +
+          m[at(box.r1, box.g0, box.b0)] -
+          m[at(box.r0, box.g1, box.b1)] +
+          m[at(box.r0, box.g1, box.b0)] +
+          m[at(box.r0, box.g0, box.b1)] -
+          m[at(box.r0, box.g0, box.b0)]
+        );
+      }
+
+      // Part of the volume that does not depend on where the box is cut along an axis
+      function bottom(box, axis, m) {
+        if (axis === 0) {
+          return (
+            -m[at(box.r0, box.g1, box.b1)] +
+            m[at(box.r0, box.g1, box.b0)] +
+            m[at(box.r0, box.g0, box.b1)] -
+            m[at(box.r0, box.g0, box.b0)]
+          );
+        }
+        if (axis === 1) {
+          return (
+            -m[at(box.r1, box.g0, box.b1)] +
+            m[at(box.r1, box.g0, box.b0)] +
+            m[at(box.r0, box.g0, box.b1)] -
+            m[at(box.r0, box.g0, box.b0)]
+          );
+        }
+        return (
+          -m[at(box.r1, box.g1, box.b0)] +
+          m[at(box.r1, box.g0, box.b0)] +
+          m[at(box.r0, box.g1, box.b0)] -
+          m[at(box.r0, box.g0, box.b0)]
+        );
+      }
+
+      // Part of the volume that depends on where the box is cut along an axis
+      function top(box, axis, position, m) {
+        if (axis === 0) {
+          return (
+            m[at(position, box.g1, box.b1)] -
+            m[at(position, box.g1, box.b0)] -
+            m[at(position, box.g0, box.b1)] +
+            m[at(position, box.g0, box.b0)]
+          );
+        }
+        if (axis === 1) {
+          return (
+            m[at(box.r1, position, box.b1)] -
+            m[at(box.r1, position, box.b0)] -
+            m[at(box.r0, position, box.b1)] +
+            m[at(box.r0, position, box.b0)]
+          );
+        }
+        return (
+          m[at(box.r1, box.g1, position)] -
+          m[at(box.r1, box.g0, position)] -
+          m[at(box.r0, box.g1, position)] +
+          m[at(box.r0, box.g0, position)]
+        );
+      }
+
+      function variance(box) {
+        const red = volume(box, momentsRed);
+        const green = volume(box, momentsGreen);
+        const blue = volume(box, momentsBlue);
+        return (
+          volume(box, moments2) - (red * red + green * green + blue * blue) / volume(box, weights)
+        );
+      }
+
+      // Finds the cut along an axis that leaves the least variance in both halves
+      function maximize(box, axis, first, last, whole) {
+        const base = [];
+        for (let t = 0; t < 4; t++) {
+          base.push(bottom(box, axis, tables[t]));
+        }
+
+        const best = { value: 0, cut: -1 };
+        for (let position = first; position < last; position++) {
+          const half = [];
+          for (let t = 0; t < 4; t++) {
+            half.push(base[t] + top(box, axis, position, tables[t]));
+          }
+          if (half[0] === 0 || half[0] === whole[0]) {
+            continue;
+          }
+
+          const value =
+            (half[1] * half[1] + half[2] * half[2] + half[3] * half[3]) / half[0] +
+            ((whole[1] - half[1]) * (whole[1] - half[1]) +
+              (whole[2] - half[2]) * (whole[2] - half[2]) +
+              (whole[3] - half[3]) * (whole[3] - half[3])) /
+              (whole[0] - half[0]);
+          if (value > best.value) {
+            best.value = value;
+            best.cut = position;
+          }
+        }
+
+        return best;
+      }
+
+      // Cuts a box in two, the second half goes into next
+      function cut(box, next) {
+        const whole = [];
+        for (let t = 0; t < 4; t++) {
+          whole.push(volume(box, tables[t]));
+        }
+
+        const red = maximize(box, 0, box.r0 + 1, box.r1, whole);
+        const green = maximize(box, 1, box.g0 + 1, box.g1, whole);
+        const blue = maximize(box, 2, box.b0 + 1, box.b1, whole);
+
+        let axis = 2;
+        if (red.value >= green.value && red.value >= blue.value) {
+          axis = 0;
+        } else if (green.value >= blue.value) {
+          axis = 1;
+        }
+
+        const position = [red, green, blue][axis].cut;
+        if (position < 0) {
+          return false;
+        }
+
+        Object.assign(next, box);
+        if (axis === 0) {
+          next.r0 = box.r1 = position;
+        } else if (axis === 1) {
+          next.g0 = box.g1 = position;
+        } else {
+          next.b0 = box.b1 = position;
+        }
+        return true;
+      }
+
+      const cells = box => (box.r1 - box.r0) * (box.g1 - box.g0) * (box.b1 - box.b0);
+
+      const boxes = [{ r0: 0, g0: 0, b0: 0, r1: SIZE - 1, g1: SIZE - 1, b1: SIZE - 1 }];
+      const variances = [0];
+      let next = 0;
+
+      while (boxes.length < MAX_COLORS) {
+        const box = { r0: 0, g0: 0, b0: 0, r1: 0, g1: 0, b1: 0 };
+        if (cut(boxes[next], box)) {
+          boxes.push(box);
+          variances[next] = cells(boxes[next]) > 1 ? variance(boxes[next]) : 0;
+          variances.push(cells(box) > 1 ? variance(box) : 0);
+        } else {
+          variances[next] = 0;
+        }
+
+        // The box with the most variance is cut next
+        next = 0;
+        for (let i = 1; i < boxes.length; i++) {
+          if (variances[i] > variances[next]) {
+            next = i;
+          }
+        }
+        if (variances[next] <= 0) {
+          break;
+        }
+      }
+
+      const palette = [];
+      boxes.forEach(box => {
+        const weight = volume(box, weights);
+        if (weight > 0) {
+          palette.push(
+            Math.round(volume(box, momentsRed) / weight),
+            Math.round(volume(box, momentsGreen) / weight),
+            Math.round(volume(box, momentsBlue) / weight)
+          );
+        }
+      });
+
+      return padPalette(palette);
+    }
+
+    module.exports = {
+      exact,
+      quantizers: { 'median-cut': medianCut, octree, wu },
+    };
+  });
+
+  // Frame palettes, color lookups and transparency
+  a.define('/Palette.js', function (module) {
+    const NeuQuant = a('/TypedNeuQuant.js', module);
+    const Quantizers = a('/Quantizers.js', module);
+
+    // Pixels less opaque than this become transparent
+    const ALPHA_THRESHOLD = 128;
+
+    // Builds a palette with the chosen quantizer, NeuQuant also provides the lookup
+    function quantize(pixels, sample, quantizer, exactColors) {
+      if (exactColors) {
+        const palette = Quantizers.exact(pixels);
+        if (palette !== null) {
+          return { colorTab: palette, lookup: null };
+        }
+      }
+
+      if ({}.hasOwnProperty.call(Quantizers.quantizers, quantizer)) {
+        return { colorTab: Quantizers.quantizers[quantizer](pixels), lookup: null };
+      }
+
+      const neuQuant = new NeuQuant(pixels, sample);
+      neuQuant.buildColormap();
+      return { colorTab: neuQuant.getColormap(), lookup: neuQuant };
+    }
+
+    // Builds the global palette from pixels of several frames
+    function createPalette(pixels, sample, quantizer, exactColors) {
+      // The quantizers need at least one pixel
+      const input = pixels.length > 0 ? pixels : new Uint8Array(3);
+      return quantize(input, sample, quantizer, exactColors).colorTab;
+    }
+
+    // Nearest color search in a palette that was not built by NeuQuant
+    function createLookup(colorTab) {
+      const count = colorTab.length / 3;
+      const cache = new Map();
+
+      return {
+        lookupRGB(red, green, blue) {
+          const key = (red << 16) | (green << 8) | blue;
+          if (cache.has(key)) {
+            return cache.get(key);
+          }
+
+          let index = 0;
+          let best = Infinity;
+          for (let i = 0; i < count; i++) {
+            const dr = red - colorTab[i * 3];
+            const dg = green - colorTab[i * 3 + 1];
+            const db = blue - colorTab[i * 3 + 2];
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < best) {
+              best = distance;
+              index = i;
+            }
+          }
+
+          cache.set(key, index);
+          return index;
+        },
+      };
+    }
+
+    // Gives up the entry closest to another one for transparency, its pixels use the other one
+    function reserveTransparentIndex(colorTab) {
+      const count = colorTab.length / 3;
+      let reserved = 0;
+      let substitute = 0;
+      let best = Infinity;
+
+      for (let i = 0; i < count; i++) {
+        for (let j = i + 1; j < count; j++) {
+          const dr = colorTab[i * 3] - colorTab[j * 3];
+          const dg = colorTab[i * 3 + 1] - colorTab[j * 3 + 1];
+          const db = colorTab[i * 3 + 2] - colorTab[j * 3 + 2];
+          const distance = dr * dr + dg * dg + db * db;
+          if (distance < best) {
+            best = distance;
+            reserved = j;
+            substitute = i;
+          }
+        }
+      }
+
+      return { reserved, substitute };
+    }
+
+    // Marks the transparent pixels of RGBA data, or returns null if there are none
+    function getAlphaMask(rgba, count) {
+      const mask = new Uint8Array(count);
+      let transparent = false;
+
+      for (let i = 0; i < count; i++) {
+        if (rgba[i * 4 + 3] < ALPHA_THRESHOLD) {
+          mask[i] = 1;
+          transparent = true;
+        }
+      }
+
+      return transparent ? mask : null;
+    }
+
+    // Leaves out transparent pixels, they should not take up palette entries
+    function getOpaquePixels(pixels, mask) {
+      const count = mask.reduce((total, transparent) => total + (transparent ? 0 : 1), 0);
+      if (count === 0) {
+        return pixels;
+      }
+
+      const opaque = new Uint8Array(count * 3);
+      let p = 0;
+      for (let i = 0; i < mask.length; i++) {
+        if (!mask[i]) {
+          opaque[p++] = pixels[i * 3];
+          opaque[p++] = pixels[i * 3 + 1];
+          opaque[p++] = pixels[i * 3 + 2];
+        }
+      }
+      return opaque;
+    }
+
+    module.exports = {
+      quantize,
+      createPalette,
+      createLookup,
+      reserveTransparentIndex,
+      getAlphaMask,
+      getOpaquePixels,
+    };
+  });
+
+  // Maps pixels to palette entries, with optional dithering
+  a.define('/Dither.js', function (module) {
+    // Error diffusion kernels as [dx, dy, weight]
+    const KERNELS = {
+      'floyd-steinberg': [
+        [1, 0, 7 / 16],
+        [-1, 1, 3 / 16],
+        [0, 1, 5 / 16],
+        [1, 1, 1 / 16],
+      ],
+      atkinson: [
+        [1, 0, 1 / 8],
+        [2, 0, 1 / 8],
+        [-1, 1, 1 / 8],
+        [0, 1, 1 / 8],
+        [1, 1, 1 / 8],
+        [0, 2, 1 / 8],
+      ],
+    };
+
+    // Thresholds of the 4x4 ordered dither
+    const BAYER_MATRIX = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+    const clampColor = value => Math.min(255, Math.max(0, Math.round(value)));
+
+    // Returns the palette index of every pixel. Masked pixels get the reserved index,
+    // which other pixels replace with its substitute. Used entries are marked in usedEntry.
+    function indexPixels(frame) {
+      const { width, height, mask, colorTab, lookup, reserved, substitute, usedEntry } = frame;
+      const kernel = KERNELS[frame.dither] || null;
+      const bayer = frame.dither === 'bayer';
+      // Diffused errors need room below 0 and above 255
+      const pixels = kernel === null ? frame.pixels : new Float32Array(frame.pixels);
+      const indexed = new Uint8Array(width * height);
+
+      for (let y = 0; y < height; y++) {
+        // Serpentine scanning keeps the diffused error from drifting to one side
+        const reverse = kernel !== null && (y & 1) === 1;
+
+        for (let i = 0; i < width; i++) {
+          const x = reverse ? width - 1 - i : i;
+          const n = y * width + x;
+          const p = n * 3;
+
+          if (mask !== null && mask[n]) {
+            indexed[n] = reserved;
+            continue;
+          }
+
+          let red = pixels[p];
+          let green = pixels[p + 1];
+          let blue = pixels[p + 2];
+
+          if (bayer) {
+            // Between -15 and 15, about half the spacing of a 256 colour palette
+            const threshold = BAYER_MATRIX[((y & 3) << 2) | (x & 3)] * 2 - 15;
+            red += threshold;
+            green += threshold;
+            blue += threshold;
+          }
+
+          let index = lookup.lookupRGB(clampColor(red), clampColor(green), clampColor(blue));
+          if (index === reserved) {
+            index = substitute;
+          }
+          usedEntry[index] = true;
+          indexed[n] = index;
+
+          if (kernel === null) {
+            continue;
+          }
+
+          const errorRed = red - colorTab[index * 3];
+          const errorGreen = green - colorTab[index * 3 + 1];
+          const errorBlue = blue - colorTab[index * 3 + 2];
+
+          kernel.forEach(([dx, dy, weight]) => {
+            const nx = reverse ? x - dx : x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny >= height) {
+              return;
+            }
+
+            const q = (ny * width + nx) * 3;
+            pixels[q] += errorRed * weight;
+            pixels[q + 1] += errorGreen * weight;
+            pixels[q + 2] += errorBlue * weight;
+          });
+        }
+      }
+
+      return indexed;
+    }
+
+    module.exports = { indexPixels };
+  });
+
+  a('/gif.worker.coffee');
 }).call(this, this);
 //# sourceMappingURL=gif.worker.js.map
 // gif.worker.js 0.1.6 - https://github.com/jnordberg/gif.js
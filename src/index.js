@@ -3,9 +3,21 @@ import DCFrameEncoder from './DCFrameEncoder.js';
 import DCTarEncoder from './DCTarEncoder.js';
 import DCPNGEncoder from './DCPNGEncoder.js';
 import DCJPEGEncoder from './DCJPEGEncoder.js';
+import DCZipEncoder from './DCZipEncoder.js';
+import DCZipWriter from './DCZipWriter.js';
+import DCDeflate from './DCDeflate.js';
 import DCMediaRecorderEncoder from './DCMediaRecorderEncoder.js';
 import DCWhammyEncoder from './DCWhammyEncoder.js';
 import DCGIFEncoder from './DCGIFEncoder.js';
+import DCWebCodecsEncoder from './DCWebCodecsEncoder.js';
+import DCWebMMuxer from './DCWebMMuxer.js';
+import DCMP4Encoder from './DCMP4Encoder.js';
+import DCMP4Muxer from './DCMP4Muxer.js';
+import DCWebMWriterEncoder from './DCWebMWriterEncoder.js';
+import DCAPNGEncoder from './DCAPNGEncoder.js';
+import DCWebPEncoder from './DCWebPEncoder.js';
+import DCVirtualClock from './DCVirtualClock.js';
+import DCSeededRandom from './DCSeededRandom.js';
 
 // Export DCapture directly to make it accessible as a constructor
 export default DCapture;
@@ -16,7 +28,19 @@ export {
   DCTarEncoder,
   DCPNGEncoder,
   DCJPEGEncoder,
+  DCZipEncoder,
+  DCZipWriter,
+  DCDeflate,
   DCMediaRecorderEncoder,
   DCWhammyEncoder,
   DCGIFEncoder,
+  DCWebCodecsEncoder,
+  DCWebMMuxer,
+  DCMP4Encoder,
+  DCMP4Muxer,
+  DCWebMWriterEncoder,
+  DCAPNGEncoder,
+  DCWebPEncoder,
+  DCVirtualClock,
+  DCSeededRandom,
 };
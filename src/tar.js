@@ -280,16 +280,19 @@ struct posix_header {             // byte offset
     recordSize = 512,
     blockSize;
 
-  function Tar(recordsPerBlock) {
+  // With a sink, records are written to it as files are appended instead of kept in memory.
+  // sink.write(Uint8Array) and sink.close() may return promises.
+  function Tar(recordsPerBlock, sink) {
     this.written = 0;
     blockSize = (recordsPerBlock || 20) * recordSize;
     this.out = utils.clean(blockSize);
     this.blocks = [];
     this.length = 0;
+    this.sink = sink || null;
   }
 
   Tar.prototype.append = function (filepath, input, opts, callback) {
-    var data, checksum, mode, mtime, uid, gid, headerArr;
+    var headerArr;
 
     if (typeof input === 'string') {
       input = utils.stringToUint8(input);
@@ -307,44 +310,39 @@ struct posix_header {             // byte offset
 
     opts = opts || {};
 
-    mode = opts.mode || parseInt('777', 8) & 0xfff;
-    mtime = opts.mtime || Math.floor(+new Date() / 1000);
-    uid = opts.uid || 0;
-    gid = opts.gid || 0;
-
-    data = {
-      fileName: filepath,
-      fileMode: utils.pad(mode, 7),
-      uid: utils.pad(uid, 7),
-      gid: utils.pad(gid, 7),
-      fileSize: utils.pad(input.length, 11),
-      mtime: utils.pad(mtime, 11),
-      checksum: '        ',
-      type: '0', // just a file
-      ustar: 'ustar  ',
-      owner: opts.owner || '',
-      group: opts.group || '',
-    };
-
-    // calculate the checksum
-    checksum = 0;
-    Object.keys(data).forEach(function (key) {
-      var i,
-        value = data[key],
-        length;
-
-      for (i = 0, length = value.length; i < length; i += 1) {
-        checksum += value.charCodeAt(i);
-      }
-    });
+    // Paths that do not fit the 100 byte name field, or are not ASCII, go in a PAX extended header
+    if (!isPortableName(filepath)) {
+      var paxData = formatPaxRecord('path', filepath);
+      this.appendEntry(
+        formatEntryHeader(
+          portableName('PaxHeader/' + filepath.split('/').pop()),
+          paxData.length,
+          'x',
+          opts
+        ),
+        paxData
+      );
+    }
 
-    data.checksum = utils.pad(checksum, 6) + '\u0000 ';
+    headerArr = formatEntryHeader(portableName(filepath), input.length, '0', opts);
 
-    headerArr = header.format(data);
+    return this.appendEntry(headerArr, input);
+  };
 
+  // Writes a header record and its data, padded to whole records
+  Tar.prototype.appendEntry = function (headerArr, input) {
     var headerLength = Math.ceil(headerArr.length / recordSize) * recordSize;
     var inputLength = Math.ceil(input.length / recordSize) * recordSize;
 
+    if (this.sink) {
+      this.sink.write(headerArr);
+      if (inputLength > input.length) {
+        this.sink.write(input);
+        return this.sink.write(utils.clean(inputLength - input.length));
+      }
+      return this.sink.write(input);
+    }
+
     this.blocks.push({
       header: headerArr,
       input: input,
@@ -354,6 +352,12 @@ struct posix_header {             // byte offset
   };
 
   Tar.prototype.save = function () {
+    if (this.sink) {
+      // Finish the stream with the two empty trailer records
+      this.sink.write(new Uint8Array(2 * recordSize));
+      return this.sink.close();
+    }
+
     var buffers = [];
     var chunks = [];
     var length = 0;
@@ -393,5 +397,71 @@ struct posix_header {             // byte offset
     this.out = utils.clean(blockSize);
   };
 
+  function isPortableName(name) {
+    return name.length <= 100 && /^[\x20-\x7e]*$/.test(name);
+  }
+
+  // ASCII name for the header field, readers that know PAX use the full path instead
+  function portableName(name) {
+    return name.replace(/[^\x20-\x7e]/g, '_').slice(0, 100);
+  }
+
+  // A PAX record is "<length> <key>=<value>\n" in UTF-8, the length counting its own digits
+  function formatPaxRecord(key, value) {
+    var body = new TextEncoder().encode(' ' + key + '=' + value + '\n'),
+      length = body.length + 1;
+
+    while ((length + '').length + body.length > length) {
+      length += 1;
+    }
+
+    var record = new Uint8Array(length);
+    record.set(utils.stringToUint8(length + ''));
+    record.set(body, length - body.length);
+    return record;
+  }
+
+  function formatEntryHeader(name, size, type, opts) {
+    var data, checksum, mode, mtime, uid, gid;
+
+    mode = opts.mode || parseInt('777', 8) & 0xfff;
+    // An mtime of 0 is a valid, reproducible time
+    mtime = opts.mtime !== undefined ? opts.mtime : Math.floor(+new Date() / 1000);
+    uid = opts.uid || 0;
+    gid = opts.gid || 0;
+
+    data = {
+      fileName: name,
+      fileMode: utils.pad(mode, 7),
+      uid: utils.pad(uid, 7),
+      gid: utils.pad(gid, 7),
+      fileSize: utils.pad(size, 11),
+      mtime: utils.pad(mtime, 11),
+      checksum: '        ',
+      type: type,
+      // POSIX ustar\0 and version 00 on every entry, as PAX extended headers need it
+      // and entries streamed before one can't be changed
+      ustar: 'ustar\u000000',
+      owner: opts.owner || '',
+      group: opts.group || '',
+    };
+
+    // calculate the checksum
+    checksum = 0;
+    Object.keys(data).forEach(function (key) {
+      var i,
+        value = data[key],
+        length;
+
+      for (i = 0, length = value.length; i < length; i += 1) {
+        checksum += value.charCodeAt(i);
+      }
+    });
+
+    data.checksum = utils.pad(checksum, 6) + '\u0000 ';
+
+    return header.format(data);
+  }
+
   window.Tar = Tar;
 })();
@@ -229,7 +229,8 @@
 
       if (typeof FileWriter !== 'undefined' && destination instanceof FileWriter) {
         fileWriter = destination;
-      } else if (fs && destination) {
+      } else if (fs && destination !== null && destination !== undefined) {
+        // 0 is a valid file descriptor
         fd = destination;
       }
 
@@ -326,7 +327,7 @@
 
         // After previous writes complete, perform our write
         writePromise = writePromise.then(function () {
-          if (fd) {
+          if (fd !== null) {
             return new Promise(function (resolve, reject) {
               convertToUint8Array(newEntry.data).then(function (dataArray) {
                 var totalWritten = 0,
@@ -408,6 +409,13 @@
         });
       };
 
+      /**
+       * Returns a promise that signals when every write so far has reached the destination.
+       */
+      this.flushed = function () {
+        return writePromise;
+      };
+
       /**
        * Finish all writes to the buffer, returning a promise that signals when that is complete.
        *
@@ -417,7 +425,7 @@
        * If a FileWriter was provided, the promise is resolved with null as the first argument.
        */
       this.complete = function (mimeType) {
-        if (fd || fileWriter) {
+        if (fd !== null || fileWriter) {
           writePromise = writePromise.then(function () {
             return null;
           });
@@ -430,7 +438,7 @@
               result.push(buffer[i].data);
             }
 
-            return new Blob(result, { mimeType: mimeType });
+            return new Blob(result, { type: mimeType });
           });
         }
 
@@ -508,7 +516,7 @@
      * Convert the given canvas to a WebP encoded image and return the image data as a string.
      */
     function renderAsWebP(canvas, quality) {
-      var frame = canvas.toDataURL('image/webp', { quality: quality });
+      var frame = canvas.toDataURL('image/webp', quality);
 
       return decodeBase64WebPDataURL(frame);
     }
@@ -1029,7 +1037,7 @@
           writtenHeader = true;
         }
 
-        var webP = renderAsWebP(canvas, { quality: options.quality });
+        var webP = renderAsWebP(canvas, options.quality);
 
         if (!webP) {
           throw "Couldn't decode WebP frame, does the browser support WebP?";
@@ -1061,6 +1069,15 @@
         return blobBuffer.length;
       };
 
+      /**
+       * Returns a promise that signals when the frames flushed so far have been written to the destination.
+       *
+       * Frames stay in memory until their cluster is flushed, so with a slow FileWriter this lags behind addFrame.
+       */
+      this.flushed = function () {
+        return blobBuffer.flushed();
+      };
+
       options = extend(optionDefaults, options || {});
       validateOptions();
     };
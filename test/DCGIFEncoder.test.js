@@ -0,0 +1,131 @@
+import DCGIFEncoder from '../src/DCGIFEncoder.js';
+
+/**
+ * Stands in for gif.js, frames only finish when the test says so
+ */
+class FakeGIF {
+  constructor(options) {
+    this.options = options;
+    this.frames = [];
+    this.listeners = {};
+    this.streaming = false;
+    FakeGIF.last = this;
+  }
+
+  on(event, callback) {
+    (this.listeners[event] = this.listeners[event] || []).push(callback);
+  }
+
+  emit(event, data) {
+    (this.listeners[event] || []).forEach(callback => callback(data));
+  }
+
+  setOption(key, value) {
+    this.options[key] = value;
+  }
+
+  stream() {
+    this.streaming = true;
+  }
+
+  addFrame(image, options) {
+    return this.frames.push({ image, options });
+  }
+
+  finishFrame(index) {
+    this.emit('frame', index);
+  }
+
+  render() {}
+
+  abort() {}
+}
+
+function createCanvas(width = 4, height = 4) {
+  const context = {
+    fillRect() {},
+    clearRect() {},
+    drawImage() {},
+    getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+    createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+  };
+  return { width, height, getContext: () => context };
+}
+
+function createEncoder(settings = {}) {
+  const encoder = new DCGIFEncoder({ workersPath: '', maxPendingFrames: 2, ...settings });
+  encoder.start();
+  return encoder;
+}
+
+// Lets promise callbacks run
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+beforeEach(() => {
+  globalThis.GIF = FakeGIF;
+  globalThis.document = { createElement: () => createCanvas() };
+});
+
+afterEach(() => {
+  delete globalThis.GIF;
+  delete globalThis.document;
+});
+
+test('blocks once maxPendingFrames frames are being encoded', async () => {
+  const encoder = createEncoder({ optimize: false });
+
+  encoder.add(createCanvas());
+  expect(encoder.canAccept()).toBe(true);
+  encoder.add(createCanvas());
+  expect(encoder.canAccept()).toBe(false);
+
+  let ready = false;
+  encoder.ready().then(() => {
+    ready = true;
+  });
+  await settle();
+  expect(ready).toBe(false);
+
+  FakeGIF.last.finishFrame(0);
+  await settle();
+  expect(ready).toBe(true);
+  expect(encoder.canAccept()).toBe(true);
+});
+
+test('counts a held back frame once it is handed to the workers', async () => {
+  const encoder = createEncoder();
+
+  // The first frame waits for the next one to pick its disposal method
+  encoder.add(createCanvas());
+  encoder.add(createCanvas());
+  encoder.add(createCanvas());
+  expect(FakeGIF.last.frames.length).toBe(2);
+  expect(encoder.canAccept()).toBe(false);
+
+  const added = encoder.add(createCanvas());
+  FakeGIF.last.finishFrame(2);
+  await expect(added).resolves.toBeUndefined();
+});
+
+test('frees waiting frames when disposed', async () => {
+  const encoder = createEncoder({ optimize: false });
+
+  encoder.add(createCanvas());
+  encoder.add(createCanvas());
+  const ready = encoder.ready();
+
+  encoder.dispose();
+  await expect(ready).resolves.toBeUndefined();
+});
+
+test('does not block a global palette, which needs every frame first', () => {
+  const encoder = createEncoder({ optimize: false, paletteMode: 'global' });
+
+  encoder.add(createCanvas());
+  encoder.add(createCanvas());
+  encoder.add(createCanvas());
+  expect(FakeGIF.last.streaming).toBe(false);
+  expect(encoder.canAccept()).toBe(true);
+});
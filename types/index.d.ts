@@ -8,21 +8,92 @@ declare namespace DCapture {
     display?: boolean;
     /** Apply motion blur */
     motionBlurFrames?: number;
+    /** Part of the frame interval covered by motion blur samples, in degrees (default 360) */
+    shutterAngle?: number;
+    /** Weighting of motion blur samples: 'box', 'triangle' or 'gaussian' */
+    motionBlurWeighting?: 'box' | 'triangle' | 'gaussian';
     /** Encoding quality (0-100) */
     quality?: number;
-    /** Format of the capture: 'webm', 'gif', 'png', 'jpg', 'webm-mediarecorder' */
+    /** Format of the capture: 'webm', 'gif', 'png', 'jpg', 'webm-mediarecorder', 'webm-webcodecs', 'webm-writer', 'mp4', 'apng', 'webp-animated' */
     format?: string;
+    /** Codec used by 'webm-webcodecs' ('vp8', 'vp9', 'av1') or 'mp4', or a full WebCodecs codec string */
+    codec?: string;
+    /** Target bitrate of 'webm-webcodecs' and 'mp4' in bits per second */
+    bitrate?: number;
+    /** Frames between keyframes for 'webm-webcodecs' and 'mp4' (default two seconds) */
+    keyframeInterval?: number;
+    /** Keep the alpha channel in 'webm' output (VP8 alpha, needs WebCodecs) */
+    alpha?: boolean;
+    /** Times a 'webp-animated' animation plays, 0 loops forever */
+    loopCount?: number;
+    /** Dithering of 'gif' frames: 'floyd-steinberg', 'atkinson' or 'bayer' */
+    dither?: false | 'floyd-steinberg' | 'atkinson' | 'bayer';
+    /** Keep the canvas alpha in 'gif' output (true), or a 0xRRGGBB color to make transparent */
+    transparent?: boolean | number;
+    /** Color behind transparent canvas pixels in 'gif' output when alpha is not kept (default '#fff') */
+    background?: string;
+    /** Only encode the rectangle that changed in each 'gif' frame (default true) */
+    optimize?: boolean;
+    /** Palette of 'gif' output: one per frame, or one global palette built from every frame or from a few */
+    paletteMode?: 'per-frame' | 'global' | 'sampled';
+    /** Frames a 'sampled' gif palette is built from (default 10) */
+    paletteSamples?: number;
+    /** Color quantizer of 'gif' output (default 'neuquant') */
+    quantizer?: 'neuquant' | 'median-cut' | 'octree' | 'wu';
+    /** Keep the exact colors of 'gif' frames with 256 colors or less instead of quantizing them */
+    exactColors?: boolean;
+    /** Write a fragmented MP4 (one fragment per keyframe) */
+    fragmented?: boolean;
+    /** FileWriter that 'webm-writer' streams the video to instead of memory */
+    fileWriter?: any;
+    /** Node.js file descriptor that 'webm-writer' streams the video to instead of memory */
+    fd?: number;
     /** Path to the worker files */
     workersPath?: string;
+    /** Archive of 'png' and 'jpg' captures (default 'tar') */
+    archive?: 'tar' | 'zip';
+    /** Gzip a 'tar' archive into a .tar.gz, or deflate the files of a 'zip' archive */
+    compress?: boolean;
+    /** Destination that 'png' and 'jpg' captures stream a tar archive to instead of memory: a WritableStream, a file handle (File System Access or OPFS) or an object with write(chunk) and close(), or a function returning a new one for every take */
+    sink?:
+      | WritableStream
+      | FileSystemFileHandle
+      | { write(chunk: Uint8Array): any; close(): any }
+      | (() => any);
+    /** Path of each 'png' or 'jpg' frame in the archive, e.g. 'shots/{name}/frame-{index:05}.{ext}' */
+    framePattern?: string;
+    /** Index of the first 'png' or 'jpg' frame (default 0) */
+    frameStart?: number;
+    /** Modification time of archived frames, a Date or seconds since the epoch (defaults to the start of the capture) */
+    mtime?: Date | number;
+    /** Owner user name of tar entries */
+    owner?: string;
+    /** Owner group name of tar entries */
+    group?: string;
     /** Time limit of the capture in seconds */
     timeLimit?: number;
     /** Frame limit of the capture */
     frameLimit?: number;
     /** Auto save after specific time in seconds */
     autoSaveTime?: number;
+    /** Maximum number of frames the encoder may be working on at once (default 8) */
+    maxPendingFrames?: number;
+    /** Seed for a deterministic Math.random while recording */
+    seed?: number | string;
+    /** Also replace crypto.getRandomValues with the seeded generator */
+    seedCrypto?: boolean;
     /** Progress callback function */
     onProgress?: (progress: number) => void;
   }
+
+  interface RenderOptions {
+    /** Canvas to capture, defaults to the canvas last passed to capture() */
+    canvas?: HTMLCanvasElement | OffscreenCanvas;
+    /** Number of frames to render */
+    frames?: number;
+    /** Duration to render in seconds */
+    duration?: number;
+  }
 }
 
 declare class DCapture {
@@ -36,8 +107,19 @@ declare class DCapture {
   /**
    * Add a canvas frame to the capture
    * @param canvas The canvas element to capture
+   * @returns Resolves once the encoder has accepted the frame
+   */
+  capture(canvas: HTMLCanvasElement | OffscreenCanvas): Promise<void>;
+
+  /**
+   * Pause the capture, keeping the encoder open
+   */
+  pause(): void;
+
+  /**
+   * Resume a paused capture
    */
-  capture(canvas: HTMLCanvasElement | OffscreenCanvas): void;
+  resume(): void;
 
   /**
    * Stop the capture
@@ -48,11 +130,21 @@ declare class DCapture {
    * Save the capture
    */
   save(callback?: (blob: Blob) => void): void;
-  
+
+  /**
+   * Render an animation offline, without a requestAnimationFrame loop
+   * @param drawFn Draws a frame for the given capture time (ms) and frame index
+   * @param options Canvas to capture and number of frames or duration (seconds)
+   */
+  render(
+    drawFn: (time: number, frameIndex: number) => void | Promise<void>,
+    options: DCapture.RenderOptions
+  ): Promise<Blob>;
+
   /**
    * Dispose resources used by the capturer
    */
   dispose(): void;
 }
 
-export default DCapture; 
\ No newline at end of file
+export default DCapture;